@@ -0,0 +1,210 @@
+/**
+ * ファイル・PDF・動画・音声ブロックの処理
+ * Notionにアップロードされたファイルは有効期限付きのURLになるため、共通の添付ファイルフォルダにダウンロードして
+ * ドキュメントにはDrive上のファイルへのリンクを追加する（外部のURLはリンクのまま表示する）
+ */
+
+/**
+ * 添付ファイルを保存する共通フォルダ名（NotionImagesと同じ階層に作成する）
+ */
+const ATTACHMENT_FOLDER_NAME = 'NotionAttachments';
+
+// 保存先フォルダID -> 添付ファイルフォルダ（同じ実行の中で何度もフォルダを検索しないため。取得できなかった場合はnull）
+const attachmentFolderCache = {};
+
+/**
+ * 添付ファイルのブロックタイプと表示するアイコン・種類
+ */
+const ATTACHMENT_BLOCK_TYPES = {
+  file: { icon: '📎', label: 'ファイル' },
+  pdf: { icon: '📄', label: 'PDF' },
+  video: { icon: '🎬', label: '動画' },
+  audio: { icon: '🎵', label: '音声' }
+};
+
+/**
+ * ファイル・PDF・動画・音声ブロックを、ファイル名・サイズ・種類を表示したリンクとして追加する
+ * 添付ファイルフォルダは、Notionにアップロードされたファイルを最初に保存するときに作成する
+ * @param {Object} block - file / pdf / video / audio ブロック
+ * @param {Body} body - ドキュメントのbody
+ * @param {string} pageId - ページID
+ */
+function processAttachmentBlock(block, body, pageId) {
+  const value = block[block.type] || {};
+  const blockType = ATTACHMENT_BLOCK_TYPES[block.type];
+
+  try {
+    const url = value.type === 'external' ? value.external.url : (value.file ? value.file.url : '');
+    if (!url) {
+      body.appendParagraph(`[${blockType.label}のURLが見つかりません]`).setItalic(true);
+      return;
+    }
+
+    const fileName = value.name || getFileNameFromUrl(url);
+
+    if (value.type === 'external') {
+      // 外部のファイル（YouTubeの動画など）はリンクのまま表示する
+      appendAttachmentEntry(body, blockType.icon, fileName, url, [getUrlHostName(url) || blockType.label]);
+    } else {
+      const attachmentFolder = getAttachmentFolder();
+      const file = attachmentFolder ? saveAttachmentFile(url, fileName, block, attachmentFolder, pageId) : null;
+      if (file) {
+        const details = [formatFileSize(file.getSize()), getAttachmentTypeLabel(file.getMimeType(), blockType.label)];
+        appendAttachmentEntry(body, blockType.icon, fileName, file.getUrl(), details);
+      } else {
+        // 保存できなかった場合は有効期限付きのURLにリンクする
+        appendAttachmentEntry(body, blockType.icon, fileName, url, [blockType.label, 'Driveへの保存に失敗しました']);
+      }
+    }
+
+    if (value.caption && value.caption.length > 0) {
+      const captionParagraph = body.appendParagraph('');
+      appendRichTextToDoc(captionParagraph, value.caption);
+      captionParagraph.setAttributes({
+        [DocumentApp.Attribute.ITALIC]: true,
+        [DocumentApp.Attribute.FONT_SIZE]: 10
+      });
+    }
+  } catch (error) {
+    Logger.log(`${blockType.label}ブロックの処理でエラー: ${error.message}`);
+    body.appendParagraph(`[${blockType.label}の追加に失敗しました]`).setItalic(true);
+  }
+}
+
+/**
+ * 「アイコン ファイル名（サイズ, 種類）」の段落を追加し、ファイル名にリンクを付ける
+ * @param {Body} body - ドキュメントのbody
+ * @param {string} icon - アイコン
+ * @param {string} fileName - ファイル名
+ * @param {string} url - リンク先
+ * @param {Array} details - 括弧内に表示する情報の配列
+ */
+function appendAttachmentEntry(body, icon, fileName, url, details) {
+  const prefix = `${icon} `;
+  const detailText = details.length > 0 ? `（${details.join(', ')}）` : '';
+  const paragraph = body.appendParagraph(prefix + fileName + detailText);
+  const text = paragraph.editAsText();
+
+  text.setLinkUrl(prefix.length, prefix.length + fileName.length - 1, url);
+  if (detailText) {
+    const detailStart = prefix.length + fileName.length;
+    text.setForegroundColor(detailStart, detailStart + detailText.length - 1, getThemeValue('添付ファイルの詳細の文字色'));
+    text.setFontSize(detailStart, detailStart + detailText.length - 1, 9);
+  }
+}
+
+/**
+ * Notionにアップロードされたファイルを添付ファイルフォルダに保存する
+ * 保存済みのファイルはブロックが更新されていなければそのまま使用する
+ * @param {string} url - ファイルのURL（有効期限付き）
+ * @param {string} fileName - ファイル名
+ * @param {Object} block - ファイルのブロック
+ * @param {Folder} attachmentFolder - 添付ファイルフォルダ
+ * @param {string} pageId - ページID（ファイル名の一意性を確保するため）
+ * @return {File} 保存したファイル（失敗した場合はnull）
+ */
+function saveAttachmentFile(url, fileName, block, attachmentFolder, pageId) {
+  const uniqueFileName = `${pageId.replace(/-/g, '').substring(0, 8)}_${block.id.replace(/-/g, '').substring(0, 8)}_${fileName}`;
+
+  try {
+    const existingFiles = attachmentFolder.getFilesByName(uniqueFileName);
+    if (existingFiles.hasNext()) {
+      const existingFile = existingFiles.next();
+      if (!block.last_edited_time || existingFile.getLastUpdated() >= new Date(block.last_edited_time)) {
+        Logger.log(`保存済みの添付ファイルを使用: ${uniqueFileName}`);
+        return existingFile;
+      }
+      // ブロックが更新されている場合は新しいファイルに置き換える
+      existingFile.setTrashed(true);
+    }
+
+    Logger.log(`添付ファイルをダウンロード: ${uniqueFileName}`);
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true, followRedirects: true });
+    if (response.getResponseCode() !== 200) {
+      Logger.log(`添付ファイルの取得に失敗: HTTP ${response.getResponseCode()}, ${uniqueFileName}`);
+      return null;
+    }
+
+    return attachmentFolder.createFile(response.getBlob().setName(uniqueFileName));
+  } catch (error) {
+    // 50MBを超えるファイルなど、UrlFetchAppで取得できない場合
+    Logger.log(`添付ファイルの保存に失敗: ${uniqueFileName}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 現在のエクスポート対象の保存先フォルダにある添付ファイルフォルダを取得する（ない場合は作成する）
+ * @return {Folder} 添付ファイルフォルダ（取得できなかった場合はnull）
+ */
+function getAttachmentFolder() {
+  if (!(DRIVE_FOLDER_ID in attachmentFolderCache)) {
+    try {
+      attachmentFolderCache[DRIVE_FOLDER_ID] = getOrCreateAttachmentFolder(DRIVE_FOLDER_ID);
+    } catch (error) {
+      Logger.log(`添付ファイルフォルダの取得に失敗: ${error.message}`);
+      attachmentFolderCache[DRIVE_FOLDER_ID] = null;
+    }
+  }
+  return attachmentFolderCache[DRIVE_FOLDER_ID];
+}
+
+/**
+ * 共通の添付ファイルフォルダを取得または作成する
+ * @param {string} parentFolderId - 親フォルダID
+ * @return {Folder} 添付ファイルフォルダ
+ */
+function getOrCreateAttachmentFolder(parentFolderId) {
+  const parentFolder = DriveApp.getFolderById(parentFolderId);
+  const folderIterator = parentFolder.getFoldersByName(ATTACHMENT_FOLDER_NAME);
+  return folderIterator.hasNext() ? folderIterator.next() : parentFolder.createFolder(ATTACHMENT_FOLDER_NAME);
+}
+
+/**
+ * URLからファイル名を取得する
+ * @param {string} url - ファイルのURL
+ * @return {string} ファイル名（取得できない場合は "attachment"）
+ */
+function getFileNameFromUrl(url) {
+  const lastSegment = String(url).split(/[?#]/)[0].replace(/\/+$/, '').split('/').pop();
+  try {
+    return decodeURIComponent(lastSegment) || 'attachment';
+  } catch (e) {
+    return lastSegment || 'attachment';
+  }
+}
+
+/**
+ * ファイルサイズを読みやすい文字列にする
+ * @param {number} bytes - バイト数
+ * @return {string} 例: "512 B", "1.2 MB"
+ */
+function formatFileSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unitIndex = 0;
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024;
+    unitIndex++;
+  }
+  return unitIndex === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unitIndex]}`;
+}
+
+/**
+ * MIMEタイプから表示する種類を取得する
+ * @param {string} mimeType - MIMEタイプ
+ * @param {string} defaultLabel - 判別できない場合の種類
+ * @return {string}
+ */
+function getAttachmentTypeLabel(mimeType, defaultLabel) {
+  if (mimeType === 'application/pdf') {
+    return 'PDF';
+  }
+  if (/^video\//.test(mimeType)) {
+    return `動画 (${mimeType.split('/')[1]})`;
+  }
+  if (/^audio\//.test(mimeType)) {
+    return `音声 (${mimeType.split('/')[1]})`;
+  }
+  return mimeType && mimeType !== 'application/octet-stream' ? mimeType : defaultLabel;
+}
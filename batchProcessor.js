@@ -13,7 +13,11 @@ const BATCH_PROPS = {
     PROCESSED_PAGES: 'PROCESSED_PAGES',
     BATCH_PAGE_IDS: 'BATCH_PAGE_IDS',
     BATCH_STARTED_AT: 'BATCH_STARTED_AT',
-    BATCH_RESULTS: 'BATCH_RESULTS'
+    BATCH_RESULTS: 'BATCH_RESULTS',
+    BATCH_ENUMERATING: 'BATCH_ENUMERATING',
+    BATCH_ENUM_CURSOR: 'BATCH_ENUM_CURSOR',
+    BATCH_ENUM_MAPPING_INDEX: 'BATCH_ENUM_MAPPING_INDEX',
+    BATCH_ENUM_QUEUE: 'BATCH_ENUM_QUEUE'
   };
   
   /**
@@ -22,16 +26,25 @@ const BATCH_PROPS = {
    */
   const BATCH_SIZE = 5;
   
+  /**
+   * 1回の実行で処理に使う時間の上限（ミリ秒）
+   * Google Apps Scriptの実行時間制限（6分）に余裕を持たせた値
+   */
+  const BATCH_TIME_LIMIT_MS = 4 * 60 * 1000;
+  
   /**
    * バッチ処理のメイン関数
    * バッチごとに処理を行い、必要に応じてトリガーを設定して次のバッチを処理
    */
   function processBatchExport() {
+    const executionStartedAt = Date.now();
     const properties = PropertiesService.getScriptProperties();
     
     // 設定を読み込む
     if (!loadSettings()) {
-      properties.deleteAllProperties(); // バッチ処理をキャンセル
+      // バッチ処理をキャンセル（ページとドキュメントの対応などバッチ以外のプロパティは残す）
+      clearBatchProperties();
+      deleteTriggers();
       showAlert('設定エラー', 'バッチ処理をキャンセルしました。設定を確認してください。');
       return;
     }
@@ -42,38 +55,27 @@ const BATCH_PROPS = {
     let totalPages = parseInt(properties.getProperty(BATCH_PROPS.TOTAL_PAGES) || '0');
     let processedPages = parseInt(properties.getProperty(BATCH_PROPS.PROCESSED_PAGES) || '0');
     let batchStartedAt = properties.getProperty(BATCH_PROPS.BATCH_STARTED_AT);
-    let batchResults = properties.getProperty(BATCH_PROPS.BATCH_RESULTS);
+    let batchResults = getLargeProperty(properties, BATCH_PROPS.BATCH_RESULTS);
     batchResults = batchResults ? JSON.parse(batchResults) : [];
     
     // 初回実行か、継続実行かを判断
     if (!batchInProgress) {
       // 初回実行: バッチ処理を初期化
-      const pages = getNotionDatabasePages(DATABASE_ID);
-      
-      if (!pages || pages.length === 0) {
-        showAlert('データが見つかりません', 'データベースからページが見つかりませんでした。データベースIDを確認してください。');
-        properties.deleteAllProperties();
-        return;
-      }
-      
-      // ページIDのリストを保存
-      const pageIds = pages.map(page => page.id);
-      totalPages = pageIds.length;
-      
-      // バッチ処理のステータスを初期化
+      // ページ一覧は大きなデータベースでも時間内に収まるよう、複数回の実行に分けて取得する
       properties.setProperty(BATCH_PROPS.BATCH_IN_PROGRESS, 'true');
+      properties.setProperty(BATCH_PROPS.BATCH_ENUMERATING, 'true');
+      properties.deleteProperty(BATCH_PROPS.BATCH_ENUM_CURSOR);
+      deleteLargeProperty(properties, BATCH_PROPS.BATCH_ENUM_QUEUE);
+      properties.setProperty(BATCH_PROPS.BATCH_ENUM_MAPPING_INDEX, '0');
       properties.setProperty(BATCH_PROPS.CURRENT_BATCH_INDEX, '0');
-      properties.setProperty(BATCH_PROPS.TOTAL_PAGES, totalPages.toString());
+      properties.setProperty(BATCH_PROPS.TOTAL_PAGES, '0');
       properties.setProperty(BATCH_PROPS.PROCESSED_PAGES, '0');
-      properties.setProperty(BATCH_PROPS.BATCH_PAGE_IDS, JSON.stringify(pageIds));
       properties.setProperty(BATCH_PROPS.BATCH_STARTED_AT, new Date().toISOString());
-      properties.setProperty(BATCH_PROPS.BATCH_RESULTS, JSON.stringify([]));
+      setLargeProperty(properties, BATCH_PROPS.BATCH_PAGE_IDS, JSON.stringify([]));
+      setLargeProperty(properties, BATCH_PROPS.BATCH_RESULTS, JSON.stringify([]));
       
       // ステータスを表示
-      showAlert('バッチ処理を開始します', `全${totalPages}ページを${BATCH_SIZE}ページずつ処理します。\n処理が完了するまでスプレッドシートを開いたままにしてください。`);
-      
-      // ユーザーへのフィードバック用にバッチステータスシートを作成または更新
-      updateBatchStatusSheet(0, totalPages, []);
+      showAlert('バッチ処理を開始します', `エクスポート対象のページ一覧を取得した後、${BATCH_SIZE}ページずつ処理します。\n処理が完了するまでスプレッドシートを開いたままにしてください。`);
       
       // バッチ変数を更新
       currentBatchIndex = 0;
@@ -81,21 +83,65 @@ const BATCH_PROPS = {
       batchResults = [];
     }
     
-    // ページIDのリストを取得
-    const pageIds = JSON.parse(properties.getProperty(BATCH_PROPS.BATCH_PAGE_IDS));
+    // ページ一覧の取得が終わっていなければ続きを取得
+    if (properties.getProperty(BATCH_PROPS.BATCH_ENUMERATING) === 'true') {
+      let enumerationCompleted;
+      try {
+        enumerationCompleted = enumerateBatchPages(properties, executionStartedAt);
+      } catch (error) {
+        // 予期しないエラー（プロパティの保存失敗など）の場合はバッチ処理を中止
+        showAlert('バッチ処理を中止しました', `エクスポート対象のページ一覧を取得できませんでした。\n${describeError(error)}`);
+        clearBatchProperties();
+        deleteTriggers();
+        return;
+      }
+      
+      if (!enumerationCompleted) {
+        // 残りは次回の実行で取得
+        createTriggerForNextBatch();
+        return;
+      }
+      
+      totalPages = parseInt(properties.getProperty(BATCH_PROPS.TOTAL_PAGES) || '0');
+      // ページ一覧を取得できなかったエクスポート対象の結果を反映
+      batchResults = JSON.parse(getLargeProperty(properties, BATCH_PROPS.BATCH_RESULTS) || '[]');
+      
+      if (totalPages === 0) {
+        if (batchResults.length > 0) {
+          showAlert('エラー', 'すべてのエクスポート対象でページ一覧を取得できませんでした。「エクスポート結果」シートを確認してください。');
+        } else {
+          showAlert('データが見つかりません', 'エクスポート対象のページが見つかりませんでした。設定シートのIDを確認してください。');
+        }
+        clearBatchProperties();
+        return;
+      }
+      
+      // 一覧の取得で時間を使った場合は、ページの処理を次回の実行に回す
+      if (Date.now() - executionStartedAt > BATCH_TIME_LIMIT_MS / 2) {
+        createTriggerForNextBatch();
+        return;
+      }
+    }
+    
+    // ページのリストを取得（{id, mapping: エクスポート対象の番号, folderPath} の配列）
+    const pageEntries = JSON.parse(getLargeProperty(properties, BATCH_PROPS.BATCH_PAGE_IDS) || '[]');
     
     // 現在のバッチのインデックス範囲を計算
     const startIndex = currentBatchIndex * BATCH_SIZE;
     const endIndex = Math.min(startIndex + BATCH_SIZE, totalPages);
     
-    // このバッチで処理するページID
-    const batchPageIds = pageIds.slice(startIndex, endIndex);
+    // このバッチで処理するページ
+    const batchPageEntries = pageEntries.slice(startIndex, endIndex);
     
     // このバッチの結果を保存する配列
     const results = [];
     
     // 各ページを処理
-    for (const [index, pageId] of batchPageIds.entries()) {
+    for (const entry of batchPageEntries) {
+      const pageId = entry.id;
+      const mapping = EXPORT_MAPPINGS[entry.mapping] || EXPORT_MAPPINGS[0];
+      applyExportMapping(mapping);
+      
       try {
         // ページ情報を取得
         const page = getNotionPageById(pageId);
@@ -105,6 +151,7 @@ const BATCH_PROPS = {
             pageTitle: `Unknown (ID: ${pageId})`,
             status: 'Fail',
             message: 'ページ情報を取得できませんでした',
+            mappingName: mapping.name,
             timestamp: new Date().toISOString()
           };
           results.push(result);
@@ -126,6 +173,7 @@ const BATCH_PROPS = {
           pageTitle: pageTitle,
           status: 'Processing',
           message: '',
+          mappingName: mapping.name,
           timestamp: new Date().toISOString()
         };
         
@@ -136,13 +184,17 @@ const BATCH_PROPS = {
           // ページのブロック（コンテンツ）を取得
           const blocks = getPageBlocks(pageId);
           
-          // ブロックからGoogle Docsを直接生成して保存
-          const saveResult = convertBlocksToGoogleDocs(blocks, pageTitle);
+          // ブロックからGoogle Docsを生成して保存（エクスポート済みのページは既存のドキュメントを更新）
+          page.folderPath = entry.folderPath || [];
+          const saveResult = convertBlocksToGoogleDocs(blocks, pageTitle, getExportedDocId(pageId), { folderId: getPageFolderId(page), page: page });
           
           if (saveResult.success) {
             result.status = 'Success';
             result.message = saveResult.message;
             result.fileId = saveResult.fileId;
+            
+            // ページ間のリンクの書き換えに使用するため、ドキュメントを記録
+            recordPageDoc(page, saveResult.fileId, pageTitle);
           } else {
             result.status = 'Fail';
             result.message = saveResult.message;
@@ -150,6 +202,7 @@ const BATCH_PROPS = {
         } catch (error) {
           result.status = 'Fail';
           result.message = `エラー: ${error.message}`;
+          result.errorType = getErrorTypeLabel(error);
         }
         
         // 結果を配列に追加
@@ -170,6 +223,8 @@ const BATCH_PROPS = {
           pageTitle: `Unknown (ID: ${pageId})`,
           status: 'Fail',
           message: `ページ処理中にエラーが発生: ${error.message}`,
+          errorType: getErrorTypeLabel(error),
+          mappingName: mapping.name,
           timestamp: new Date().toISOString()
         };
         results.push(result);
@@ -192,24 +247,25 @@ const BATCH_PROPS = {
     currentBatchIndex++;
     properties.setProperty(BATCH_PROPS.CURRENT_BATCH_INDEX, currentBatchIndex.toString());
     properties.setProperty(BATCH_PROPS.PROCESSED_PAGES, processedPages.toString());
-    properties.setProperty(BATCH_PROPS.BATCH_RESULTS, JSON.stringify(batchResults));
+    setLargeProperty(properties, BATCH_PROPS.BATCH_RESULTS, JSON.stringify(batchResults));
+    savePageDocMap();
     
     // スプレッドシートに結果を記録
     recordResultsToSpreadsheet(results);
     
     // 全てのバッチが完了したかチェック
     if (endIndex >= totalPages) {
+      // データベースをシートに出力
+      mirrorDatabaseTargetsForBatch(batchResults);
+      
+      // 後からエクスポートされたページへのリンクを書き換える
+      fixDocLinks();
+      
       // バッチ処理完了
       completeAndSummary(batchResults, batchStartedAt);
       
       // バッチ処理のプロパティをクリア
-      properties.deleteProperty(BATCH_PROPS.BATCH_IN_PROGRESS);
-      properties.deleteProperty(BATCH_PROPS.CURRENT_BATCH_INDEX);
-      properties.deleteProperty(BATCH_PROPS.TOTAL_PAGES);
-      properties.deleteProperty(BATCH_PROPS.PROCESSED_PAGES);
-      properties.deleteProperty(BATCH_PROPS.BATCH_PAGE_IDS);
-      properties.deleteProperty(BATCH_PROPS.BATCH_STARTED_AT);
-      properties.deleteProperty(BATCH_PROPS.BATCH_RESULTS);
+      clearBatchProperties();
       
       // トリガーを削除
       deleteTriggers();
@@ -219,6 +275,140 @@ const BATCH_PROPS = {
     }
   }
   
+  /**
+   * バッチ処理用にすべてのエクスポート対象のページを取得する
+   * データベースの場合、時間の上限に達したらカーソルを保存し、次回の実行で続きから取得する
+   * ルートページの場合は各ページの保存先フォルダも保存し、時間の上限に達したらまだ辿っていない項目を保存する
+   * ページ一覧を取得できなかったエクスポート対象は失敗として記録し、次のエクスポート対象に進む
+   * @param {Properties} properties - スクリプトプロパティ
+   * @param {number} executionStartedAt - 今回の実行の開始時刻（ミリ秒）
+   * @return {boolean} 全ページの取得が完了したかどうか
+   */
+  function enumerateBatchPages(properties, executionStartedAt) {
+    const pageEntries = JSON.parse(getLargeProperty(properties, BATCH_PROPS.BATCH_PAGE_IDS) || '[]');
+    let mappingIndex = parseInt(properties.getProperty(BATCH_PROPS.BATCH_ENUM_MAPPING_INDEX) || '0');
+    let cursor = properties.getProperty(BATCH_PROPS.BATCH_ENUM_CURSOR);
+    let pendingTreeItems = JSON.parse(getLargeProperty(properties, BATCH_PROPS.BATCH_ENUM_QUEUE) || 'null');
+    let interrupted = false;
+    
+    while (mappingIndex < EXPORT_MAPPINGS.length && !interrupted) {
+      const mapping = EXPORT_MAPPINGS[mappingIndex];
+      applyExportMapping(mapping);
+      let hasMore = true;
+      
+      try {
+        if (SOURCE_TYPE === SOURCE_TYPES.ROOT_PAGE) {
+          // 続きから辿る場合は、このエクスポート対象で取得済みのページを辿り直さない
+          const visitedIds = {};
+          pageEntries.filter(entry => entry.mapping === mappingIndex).forEach(entry => { visitedIds[entry.id] = true; });
+          const walk = startPageTreeWalk(ROOT_PAGE_ID, visitedIds);
+          if (pendingTreeItems) {
+            walk.pending = pendingTreeItems;
+          }
+          pendingTreeItems = walk.pending;
+          
+          while (walk.pending.length > 0 && Date.now() - executionStartedAt < BATCH_TIME_LIMIT_MS) {
+            for (const page of stepPageTreeWalk(walk)) {
+              pageEntries.push({ id: page.id, mapping: mappingIndex, folderPath: page.folderPath });
+            }
+          }
+          hasMore = walk.pending.length > 0;
+        } else {
+          while (hasMore && Date.now() - executionStartedAt < BATCH_TIME_LIMIT_MS) {
+            const queryResult = queryNotionDatabase(DATABASE_ID, cursor);
+            pageEntries.push(...queryResult.results.map(page => ({ id: page.id, mapping: mappingIndex })));
+            hasMore = queryResult.hasMore;
+            cursor = queryResult.nextCursor;
+          }
+        }
+      } catch (error) {
+        if (error instanceof NotionApiError && error.isTransient()) {
+          // 一時的なエラーの場合は取得済みの分を保存し、次回の実行で同じカーソルから再試行する
+          Logger.log(`ページ一覧の取得中にエラーが発生しました: ${describeError(error)}`);
+        } else {
+          // 再試行しても解決しないエラー（認証エラーなど）の場合はこのエクスポート対象をスキップ
+          Logger.log(`エクスポート対象「${mapping.name}」のページ一覧を取得できませんでした: ${describeError(error)}`);
+          recordBatchEnumerationFailure(properties, createMappingFailureResult(mapping, error));
+          hasMore = false;
+        }
+      }
+      
+      if (hasMore) {
+        interrupted = true;
+      } else {
+        // 次のエクスポート対象へ
+        mappingIndex++;
+        cursor = null;
+        pendingTreeItems = null;
+      }
+    }
+    
+    setLargeProperty(properties, BATCH_PROPS.BATCH_PAGE_IDS, JSON.stringify(pageEntries));
+    properties.setProperty(BATCH_PROPS.BATCH_ENUM_MAPPING_INDEX, mappingIndex.toString());
+    
+    if (interrupted) {
+      if (cursor) {
+        properties.setProperty(BATCH_PROPS.BATCH_ENUM_CURSOR, cursor);
+      } else {
+        properties.deleteProperty(BATCH_PROPS.BATCH_ENUM_CURSOR);
+      }
+      if (pendingTreeItems) {
+        setLargeProperty(properties, BATCH_PROPS.BATCH_ENUM_QUEUE, JSON.stringify(pendingTreeItems));
+      } else {
+        deleteLargeProperty(properties, BATCH_PROPS.BATCH_ENUM_QUEUE);
+      }
+      Logger.log(`ページ一覧を取得中: ${pageEntries.length}件（次回の実行で続きを取得します）`);
+      updateBatchEnumerationStatus(pageEntries.length);
+      return false;
+    }
+    
+    // 取得完了
+    properties.deleteProperty(BATCH_PROPS.BATCH_ENUM_CURSOR);
+    properties.deleteProperty(BATCH_PROPS.BATCH_ENUM_MAPPING_INDEX);
+    deleteLargeProperty(properties, BATCH_PROPS.BATCH_ENUM_QUEUE);
+    properties.deleteProperty(BATCH_PROPS.BATCH_ENUMERATING);
+    properties.setProperty(BATCH_PROPS.TOTAL_PAGES, pageEntries.length.toString());
+    Logger.log(`ページ一覧の取得が完了しました: ${pageEntries.length}件`);
+    
+    if (pageEntries.length > 0) {
+      // ユーザーへのフィードバック用にバッチステータスシートを作成または更新
+      updateBatchStatusSheet(0, pageEntries.length, []);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * ページ一覧を取得できなかったエクスポート対象をバッチ処理の結果に記録
+   * @param {Properties} properties - スクリプトプロパティ
+   * @param {Object} result - 処理結果オブジェクト
+   */
+  function recordBatchEnumerationFailure(properties, result) {
+    const batchResults = JSON.parse(getLargeProperty(properties, BATCH_PROPS.BATCH_RESULTS) || '[]');
+    batchResults.push(result);
+    setLargeProperty(properties, BATCH_PROPS.BATCH_RESULTS, JSON.stringify(batchResults));
+    
+    recordResultsToSpreadsheet([result]);
+    updateBatchStatusSheet(0, 0, [result]);
+  }
+  
+  /**
+   * ページ一覧の取得状況をバッチステータスシートに表示
+   * @param {number} fetchedCount - 取得済みのページ数
+   */
+  function updateBatchEnumerationStatus(fetchedCount) {
+    updateBatchStatusSheet(0, 0, []);
+    
+    try {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('バッチステータス');
+      if (sheet) {
+        sheet.getRange('B3').setValue(`ページ一覧を取得中: ${fetchedCount}件`);
+      }
+    } catch (error) {
+      Logger.log('バッチステータスシートの更新に失敗しました: ' + error.message);
+    }
+  }
+  
   /**
    * バッチ処理のステータスをシートに表示
    * @param {number} processed - 処理済みページ数
@@ -256,13 +446,13 @@ const BATCH_PROPS = {
       const currentTime = new Date().toLocaleString();
       
       // 処理状況の更新
-      const percent = Math.round(processed / total * 100);
+      const percent = total > 0 ? Math.round(processed / total * 100) : 0;
       sheet.getRange('B2').setValue(currentTime);
       sheet.getRange('B3').setValue(`${processed} / ${total} ページ (${percent}%)`);
       
       // プログレスバーを更新
       const progressBarWidth = 20; // プログレスバーの長さ
-      const progressFilled = Math.round(processed / total * progressBarWidth);
+      const progressFilled = total > 0 ? Math.round(processed / total * progressBarWidth) : 0;
       const progressBar = '▓'.repeat(progressFilled) + '░'.repeat(progressBarWidth - progressFilled);
       sheet.getRange('B4').setValue(progressBar);
       
@@ -281,7 +471,7 @@ const BATCH_PROPS = {
           return [
             result.pageTitle,
             result.status,
-            result.message,
+            result.errorType ? `[${result.errorType}] ${result.message}` : result.message,
             link ? '=HYPERLINK("' + link + '","開く")' : '',
             new Date(result.timestamp || new Date()).toLocaleString()
           ];
@@ -360,27 +550,10 @@ const BATCH_PROPS = {
    * NotionページIDからページ情報を取得
    * @param {string} pageId - NotionページID
    * @return {Object} ページ情報
+   * @throws {NotionApiError} APIリクエストが失敗した場合
    */
   function getNotionPageById(pageId) {
-    try {
-      const url = `https://api.notion.com/v1/pages/${pageId}`;
-      
-      const options = {
-        method: 'get',
-        headers: {
-          'Authorization': `Bearer ${NOTION_API_KEY}`,
-          'Notion-Version': '2022-06-28'
-        }
-      };
-      
-      const response = UrlFetchApp.fetch(url, options);
-      const responseData = JSON.parse(response.getContentText());
-      
-      return responseData;
-    } catch (error) {
-      Logger.log(`ページ情報の取得中にエラーが発生しました: ${error.message}`);
-      return null;
-    }
+    return notionRequest('get', `/pages/${pageId}`);
   }
   
   /**
@@ -435,6 +608,11 @@ const BATCH_PROPS = {
     Logger.log(`処理時間: ${durationMin}分${durationSec}秒`);
     Logger.log('=========================================');
     
+    const mappingSummary = summarizeResultsByMapping(results);
+    if (mappingSummary) {
+      Logger.log(mappingSummary);
+    }
+    
     // アラート表示
     try {
       showAlert(
@@ -442,7 +620,8 @@ const BATCH_PROPS = {
         `処理総数: ${results.length}\n` +
         `成功: ${successCount}\n` +
         `失敗: ${failCount}\n` +
-        `処理時間: ${durationMin}分${durationSec}秒\n\n` +
+        `処理時間: ${durationMin}分${durationSec}秒` +
+        mappingSummary + '\n\n' +
         `詳細は「エクスポート結果」シートをご確認ください。`
       );
       
@@ -473,21 +652,32 @@ const BATCH_PROPS = {
   }
   
   /**
-   * バッチ処理の強制停止
+   * バッチ処理の状態を保持するプロパティをすべて削除
    */
-  function cancelBatchExport() {
-    // トリガーを削除
-    deleteTriggers();
-    
-    // バッチ処理のプロパティをクリア
+  function clearBatchProperties() {
     const properties = PropertiesService.getScriptProperties();
     properties.deleteProperty(BATCH_PROPS.BATCH_IN_PROGRESS);
     properties.deleteProperty(BATCH_PROPS.CURRENT_BATCH_INDEX);
     properties.deleteProperty(BATCH_PROPS.TOTAL_PAGES);
     properties.deleteProperty(BATCH_PROPS.PROCESSED_PAGES);
-    properties.deleteProperty(BATCH_PROPS.BATCH_PAGE_IDS);
     properties.deleteProperty(BATCH_PROPS.BATCH_STARTED_AT);
-    properties.deleteProperty(BATCH_PROPS.BATCH_RESULTS);
+    properties.deleteProperty(BATCH_PROPS.BATCH_ENUMERATING);
+    properties.deleteProperty(BATCH_PROPS.BATCH_ENUM_CURSOR);
+    properties.deleteProperty(BATCH_PROPS.BATCH_ENUM_MAPPING_INDEX);
+    deleteLargeProperty(properties, BATCH_PROPS.BATCH_ENUM_QUEUE);
+    deleteLargeProperty(properties, BATCH_PROPS.BATCH_PAGE_IDS);
+    deleteLargeProperty(properties, BATCH_PROPS.BATCH_RESULTS);
+  }
+  
+  /**
+   * バッチ処理の強制停止
+   */
+  function cancelBatchExport() {
+    // トリガーを削除
+    deleteTriggers();
+    
+    // バッチ処理のプロパティをクリア
+    clearBatchProperties();
     
     showAlert('バッチ処理を停止しました', '現在の実行は停止されました。既に処理されたページの結果は「エクスポート結果」シートで確認できます。');
   }
\ No newline at end of file
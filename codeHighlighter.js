@@ -0,0 +1,262 @@
+/**
+ * コードブロックの表示とシンタックスハイライト
+ * コードを言語ごとの規則でトークンに分け、背景色付きの1つのセルの表に色分けして表示する
+ */
+
+/**
+ * コードブロックの表の枠線の色と、言語名の見出しの色（背景色・文字色・フォントはテーマで指定する）
+ */
+const CODE_BLOCK_BORDER_COLOR = '#e1e4e8';
+const CODE_BLOCK_LABEL_COLOR = '#6a737d';
+
+/**
+ * コードの文字サイズ
+ */
+const CODE_FONT_SIZE = 9;
+
+/**
+ * トークンの種類と文字色のテーマの項目の対応
+ */
+const CODE_TOKEN_THEME_KEYS = {
+  comment: 'コードのコメント',
+  string: 'コードの文字列',
+  keyword: 'コードのキーワード',
+  number: 'コードの数値',
+  literal: 'コードの数値',
+  key: 'コードのキー',
+  variable: 'コードの変数'
+};
+
+/**
+ * Notionの言語名とハイライトの規則の対応
+ */
+const CODE_LANGUAGE_ALIASES = {
+  javascript: 'js',
+  js: 'js',
+  typescript: 'ts',
+  ts: 'ts',
+  python: 'python',
+  py: 'python',
+  sql: 'sql',
+  bash: 'bash',
+  shell: 'bash',
+  sh: 'bash',
+  json: 'json',
+  yaml: 'yaml',
+  yml: 'yaml',
+  go: 'go'
+};
+
+/**
+ * 言語ごとのハイライトの規則（[トークンの種類, 正規表現] の配列、先に書いたものを優先する）
+ * 正規表現はstickyフラグ（y）を付け、指定した位置からだけ一致させる
+ */
+const CODE_LANGUAGE_RULES = (() => {
+  const keywords = (words, flags = '') => new RegExp(`\\b(?:${words.join('|')})\\b`, `y${flags}`);
+  const number = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/y;
+  const doubleQuoted = /"(?:\\.|[^"\\\n])*"/y;
+  const singleQuoted = /'(?:\\.|[^'\\\n])*'/y;
+  const cComment = /\/\/.*|\/\*[\s\S]*?\*\//y;
+  const hashComment = /#.*/y;
+
+  const jsKeywords = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+    'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof',
+    'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var',
+    'void', 'while', 'yield'
+  ];
+  const js = [
+    ['comment', cComment],
+    ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/y],
+    ['keyword', keywords(jsKeywords)],
+    ['literal', keywords(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'])],
+    ['number', number]
+  ];
+  const ts = [
+    ['comment', cComment],
+    ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/y],
+    ['keyword', keywords(jsKeywords.concat([
+      'abstract', 'any', 'as', 'boolean', 'declare', 'enum', 'implements', 'interface', 'keyof', 'namespace',
+      'never', 'number', 'private', 'protected', 'public', 'readonly', 'string', 'type', 'unknown'
+    ]))],
+    ['literal', keywords(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'])],
+    ['number', number]
+  ];
+
+  return {
+    js: js,
+    ts: ts,
+    python: [
+      ['comment', hashComment],
+      ['string', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/y],
+      ['keyword', keywords([
+        'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+        'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not',
+        'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+      ])],
+      ['literal', keywords(['True', 'False', 'None'])],
+      ['number', number]
+    ],
+    sql: [
+      ['comment', /--.*|\/\*[\s\S]*?\*\//y],
+      ['string', /'(?:''|[^'])*'/y],
+      ['keyword', keywords([
+        'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set', 'delete',
+        'create', 'table', 'view', 'index', 'drop', 'alter', 'add', 'join', 'inner', 'left', 'right', 'full',
+        'outer', 'on', 'as', 'group', 'by', 'order', 'having', 'limit', 'offset', 'distinct', 'union', 'all',
+        'case', 'when', 'then', 'else', 'end', 'in', 'is', 'like', 'between', 'exists', 'with', 'primary',
+        'key', 'foreign', 'references', 'default', 'asc', 'desc'
+      ], 'i')],
+      ['literal', keywords(['null', 'true', 'false'], 'i')],
+      ['number', number]
+    ],
+    bash: [
+      ['comment', /(?:^|(?<=\s))#.*/y],
+      ['string', /"(?:\\.|[^"\\])*"|'[^']*'/y],
+      ['variable', /\$(?:\{[^}\n]*\}|[\w@#?*!$-])\w*/y],
+      ['keyword', keywords([
+        'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac', 'in',
+        'function', 'return', 'local', 'export', 'readonly', 'source', 'exit', 'set', 'unset', 'shift'
+      ])],
+      ['number', number]
+    ],
+    json: [
+      ['key', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+      ['string', doubleQuoted],
+      ['literal', keywords(['true', 'false', 'null'])],
+      ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y]
+    ],
+    yaml: [
+      ['comment', hashComment],
+      ['key', /[\w.-]+(?=\s*:(?:\s|$))|"(?:\\.|[^"\\\n])*"(?=\s*:(?:\s|$))/y],
+      ['string', new RegExp(`${doubleQuoted.source}|${singleQuoted.source}`, 'y')],
+      ['literal', keywords(['true', 'false', 'null', 'yes', 'no', 'on', 'off'], 'i')],
+      ['number', number]
+    ],
+    go: [
+      ['comment', cComment],
+      ['string', /"(?:\\.|[^"\\\n])*"|`[^`]*`|'(?:\\.|[^'\\\n])*'/y],
+      ['keyword', keywords([
+        'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for',
+        'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select',
+        'struct', 'switch', 'type', 'var'
+      ])],
+      ['literal', keywords(['true', 'false', 'nil', 'iota'])],
+      ['number', number]
+    ]
+  };
+})();
+
+/**
+ * コードブロックを、言語名の見出しを持つ背景色付きの1つのセルの表として追加する
+ * コードは行ごとの段落にし、対応している言語の場合はトークンを色分けする
+ * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+ * @param {Object} block - code ブロック
+ */
+function appendCodeBlock(body, block) {
+  const code = getPlainText(block.code.rich_text);
+  const language = block.code.language || 'plain text';
+
+  const table = body.appendTable([['']]);
+  table.setBorderColor(CODE_BLOCK_BORDER_COLOR);
+  const cell = table.getCell(0, 0);
+  cell.setBackgroundColor(getThemeValue('コードの背景色'));
+
+  // 見出し（言語名）
+  const label = cell.getChild(0).asParagraph();
+  label.appendText(language);
+  label.setAttributes({
+    [DocumentApp.Attribute.FONT_SIZE]: 8,
+    [DocumentApp.Attribute.BOLD]: true,
+    [DocumentApp.Attribute.FOREGROUND_COLOR]: CODE_BLOCK_LABEL_COLOR,
+    [DocumentApp.Attribute.SPACING_AFTER]: 4
+  });
+
+  const tokens = tokenizeCode(code, language);
+  let lineStart = 0;
+
+  code.split('\n').forEach(line => {
+    const paragraph = cell.appendParagraph(line);
+    paragraph.setAttributes({
+      [DocumentApp.Attribute.FONT_FAMILY]: getThemeValue('コードのフォント'),
+      [DocumentApp.Attribute.FONT_SIZE]: CODE_FONT_SIZE,
+      [DocumentApp.Attribute.BOLD]: false,
+      [DocumentApp.Attribute.FOREGROUND_COLOR]: getThemeValue('コードの文字色'),
+      [DocumentApp.Attribute.SPACING_BEFORE]: 0,
+      [DocumentApp.Attribute.SPACING_AFTER]: 0,
+      [DocumentApp.Attribute.LINE_SPACING]: 1
+    });
+
+    // この行にかかるトークンに色を付ける（複数行のコメント・文字列は行ごとに分けて適用する）
+    const lineEnd = lineStart + line.length - 1;
+    const text = paragraph.editAsText();
+    for (const token of tokens) {
+      if (token.end < lineStart || token.start > lineEnd) {
+        continue;
+      }
+      const start = Math.max(token.start, lineStart) - lineStart;
+      const end = Math.min(token.end, lineEnd) - lineStart;
+      // 複数行のトークンの途中の空行は色を付ける文字がない
+      if (line.length === 0 || end < start) {
+        continue;
+      }
+      text.setForegroundColor(start, end, getThemeValue(CODE_TOKEN_THEME_KEYS[token.type]));
+      if (token.type === 'comment') {
+        text.setItalic(start, end, true);
+      }
+    }
+
+    lineStart += line.length + 1;
+  });
+
+  if (block.code.caption && block.code.caption.length > 0) {
+    const caption = body.appendParagraph('');
+    appendRichTextToDoc(caption, block.code.caption);
+    caption.setAttributes({
+      [DocumentApp.Attribute.ITALIC]: true,
+      [DocumentApp.Attribute.FONT_SIZE]: 10
+    });
+  }
+}
+
+/**
+ * コードをトークンに分ける
+ * 対応していない言語の場合は空の配列を返す（色分けしない）
+ * @param {string} code - コード
+ * @param {string} language - Notionの言語名
+ * @return {Array} {type: トークンの種類, start: 開始位置, end: 終了位置（その文字を含む）} の配列
+ */
+function tokenizeCode(code, language) {
+  const rules = CODE_LANGUAGE_RULES[CODE_LANGUAGE_ALIASES[String(language).toLowerCase()]];
+  if (!rules) {
+    return [];
+  }
+
+  const tokens = [];
+  const word = /[\w$]+/y;
+  let index = 0;
+
+  while (index < code.length) {
+    let matched = false;
+
+    for (const [type, pattern] of rules) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(code);
+      if (match && match[0].length > 0) {
+        tokens.push({ type: type, start: index, end: index + match[0].length - 1 });
+        index += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      // 識別子の途中からキーワードや数値に一致しないよう、識別子はまとめて読み飛ばす
+      word.lastIndex = index;
+      const identifier = word.exec(code);
+      index += identifier ? identifier[0].length : 1;
+    }
+  }
+
+  return tokens;
+}
@@ -0,0 +1,230 @@
+/**
+ * Notionのコメントのエクスポート
+ * ページ・ブロックに付いたコメントを取得し、ドキュメントの脚注またはGoogle Docsのコメントとして追加する
+ */
+
+/**
+ * コメントの出力方法
+ */
+const COMMENT_EXPORT_MODES = {
+  FOOTNOTE: '脚注',
+  DOCS_COMMENT: 'Docsのコメント'
+};
+
+/**
+ * Google Docsのコメントとして追加する場合の本文の先頭
+ * 再エクスポート時に、以前追加したコメントを見分けて削除するために使用する
+ */
+const DRIVE_COMMENT_PREFIX = '[Notion] ';
+
+/**
+ * ページとその中のブロックに付いたコメントを取得する
+ * 取得できなかったブロックは飛ばし、統合にコメントの読み取り権限がない場合はそれ以上のリクエストをせずに取得できた分を返す
+ * @param {string} pageId - NotionページID
+ * @param {Array} blocks - ページのブロックのツリー
+ * @return {Object} {mode, pageComments: Array, blockComments: ブロックID -> Array, notes: Array}
+ */
+function fetchPageComments(pageId, blocks) {
+  const comments = {
+    mode: COMMENT_EXPORT_MODE,
+    pageComments: [],
+    blockComments: {},
+    notes: []
+  };
+
+  try {
+    comments.pageComments = getComments(pageId);
+  } catch (error) {
+    if (logCommentFetchError(pageId, error)) {
+      return comments;
+    }
+  }
+
+  for (const block of flattenBlockTree(blocks)) {
+    try {
+      const blockComments = getComments(block.id);
+      if (blockComments.length > 0) {
+        comments.blockComments[block.id] = blockComments;
+      }
+    } catch (error) {
+      // 取得できなかったブロックだけを飛ばし、権限がない場合はそれ以上リクエストしない
+      if (logCommentFetchError(block.id, error)) {
+        break;
+      }
+    }
+  }
+
+  return comments;
+}
+
+/**
+ * コメントの取得のエラーをログに記録する
+ * @param {string} id - コメントを取得しようとしたページ・ブロックのID
+ * @param {Error} error - 発生したエラー
+ * @return {boolean} 統合に権限がなく、以降のコメントも取得できない場合はtrue
+ */
+function logCommentFetchError(id, error) {
+  Logger.log(`${id} のコメントの取得中にエラーが発生しました: ${describeError(error)}`);
+  if (error instanceof NotionAuthError) {
+    Logger.log('統合の「コメントの読み取り」機能が有効になっているか確認してください');
+    return true;
+  }
+  return false;
+}
+
+/**
+ * ブロックのツリーを平坦な配列にする（子ページ・子データベースは除く）
+ * @param {Array} blocks - ブロックのツリー
+ * @return {Array} ブロックの配列
+ */
+function flattenBlockTree(blocks) {
+  const flattened = [];
+  for (const block of blocks) {
+    if (BLOCK_TYPES_WITHOUT_CHILD_FETCH.includes(block.type)) {
+      continue;
+    }
+    flattened.push(block);
+    if (block.children) {
+      flattened.push(...flattenBlockTree(block.children));
+    }
+  }
+  return flattened;
+}
+
+/**
+ * ブロックに付いたコメントの参照を、ブロックを変換した要素に追加する
+ * 脚注の場合は要素の末尾に [※1] のような番号を付け、Docsのコメントの場合は引用として表示する本文を記録する
+ * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+ * @param {Element} element - ブロックを変換した要素（要素がない場合はnull）
+ * @param {string} blockId - ブロックID
+ * @param {Object} comments - fetchPageComments の結果
+ */
+function appendCommentMarkers(body, element, blockId, comments) {
+  const blockComments = comments.blockComments[blockId];
+  if (!blockComments) {
+    return;
+  }
+
+  if (comments.mode === COMMENT_EXPORT_MODES.DOCS_COMMENT) {
+    const quotedText = element && element.getText ? element.getText() : '';
+    blockComments.forEach(comment => comments.notes.push({ comment: comment, quotedText: quotedText }));
+    return;
+  }
+
+  const markers = blockComments.map(comment => {
+    const number = comments.notes.length + 1;
+    comments.notes.push({ number: number, comment: comment });
+    return `[※${number}]`;
+  }).join('');
+
+  // 段落・リストアイテム以外（表など）の場合は、番号だけの段落を追加する
+  const elementType = element ? element.getType() : null;
+  const target = elementType === DocumentApp.ElementType.PARAGRAPH || elementType === DocumentApp.ElementType.LIST_ITEM
+    ? element
+    : body.appendParagraph('');
+
+  const text = target.editAsText();
+  const start = text.getText().length;
+  text.appendText(markers);
+  text.setTextAlignment(start, start + markers.length - 1, DocumentApp.TextAlignment.SUPERSCRIPT);
+  text.setForegroundColor(start, start + markers.length - 1, '#1a73e8');
+}
+
+/**
+ * 脚注の場合に、ドキュメントの末尾にコメントの一覧を追加する
+ * @param {Body} body - ドキュメントのbody
+ * @param {Object} comments - fetchPageComments の結果
+ */
+function appendCommentNotes(body, comments) {
+  if (comments.mode !== COMMENT_EXPORT_MODES.FOOTNOTE) {
+    return;
+  }
+  if (comments.pageComments.length === 0 && comments.notes.length === 0) {
+    return;
+  }
+
+  body.appendHorizontalRule();
+  body.appendParagraph('コメント').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+
+  for (const comment of comments.pageComments) {
+    appendCommentNoteParagraph(body, '', comment);
+  }
+  for (const note of comments.notes) {
+    appendCommentNoteParagraph(body, `[※${note.number}] `, note.comment);
+  }
+}
+
+/**
+ * コメントの一覧の1行を追加する
+ * @param {Body} body - ドキュメントのbody
+ * @param {string} marker - 先頭に付ける番号（ページへのコメントの場合は空文字）
+ * @param {Object} comment - Notionのコメントオブジェクト
+ */
+function appendCommentNoteParagraph(body, marker, comment) {
+  const header = `${marker}${getNotionUserName(comment.created_by)}（${formatPropertyDate({ start: comment.created_time })}）: `;
+  const paragraph = body.appendParagraph(header + getPlainText(comment.rich_text));
+  paragraph.setFontSize(9);
+  paragraph.editAsText().setBold(0, header.length - 1, true);
+}
+
+/**
+ * Docsのコメントの場合に、ドキュメントにGoogle Docsのコメントを追加する
+ * 以前のエクスポートで追加したコメントは削除してから追加し直す（Drive APIの高度なサービスが必要）
+ * Drive APIではドキュメントの本文の箇所にコメントを固定できないため、ブロックの本文は引用として表示するだけになる
+ * @param {string} fileId - ドキュメントのファイルID
+ * @param {Object} comments - fetchPageComments の結果
+ */
+function createDriveComments(fileId, comments) {
+  if (comments.mode !== COMMENT_EXPORT_MODES.DOCS_COMMENT) {
+    return;
+  }
+
+  try {
+    // 以前のエクスポートで追加したコメントを削除（100件を超える場合は次のページも取得する）
+    let pageToken = null;
+    const staleCommentIds = [];
+    do {
+      const options = { fields: 'nextPageToken,comments(id,content)', pageSize: 100 };
+      if (pageToken) {
+        options.pageToken = pageToken;
+      }
+      const existing = Drive.Comments.list(fileId, options);
+      for (const driveComment of existing.comments || []) {
+        if (String(driveComment.content).startsWith(DRIVE_COMMENT_PREFIX)) {
+          staleCommentIds.push(driveComment.id);
+        }
+      }
+      pageToken = existing.nextPageToken || null;
+    } while (pageToken);
+
+    // 一覧を取得し終えてから削除する（削除しながら次のページを取得すると件数がずれるため）
+    for (const commentId of staleCommentIds) {
+      Drive.Comments.remove(fileId, commentId);
+    }
+
+    const entries = comments.pageComments.map(comment => ({ comment: comment, quotedText: '' }))
+      .concat(comments.notes);
+
+    for (const entry of entries) {
+      const resource = { content: DRIVE_COMMENT_PREFIX + formatCommentText(entry.comment) };
+      if (entry.quotedText) {
+        resource.quotedFileContent = { mimeType: 'text/plain', value: entry.quotedText };
+      }
+      Drive.Comments.create(resource, fileId, { fields: 'id' });
+    }
+  } catch (error) {
+    Logger.log(`Google Docsのコメントの追加に失敗しました: ${error.message}`);
+    Logger.log('「必要なサービスを確認」メニューの手順でDrive APIが有効になっているか確認してください');
+  }
+}
+
+/**
+ * コメントを「投稿者（日時）: 本文」の形式の文字列にする
+ * @param {Object} comment - Notionのコメントオブジェクト
+ * @return {string}
+ */
+function formatCommentText(comment) {
+  const author = getNotionUserName(comment.created_by);
+  const createdAt = formatPropertyDate({ start: comment.created_time });
+  return `${author}（${createdAt}）: ${getPlainText(comment.rich_text)}`;
+}
@@ -0,0 +1,220 @@
+/**
+ * データベースのスプレッドシートへの出力
+ * データベースのページを1行、プロパティを1列とした表をシートに書き出し、エクスポートしたドキュメントへのリンクを付ける
+ */
+
+/**
+ * データベースを出力するシート名の接頭辞（シート名は「DB_エクスポート対象名」）
+ */
+const DATABASE_SHEET_PREFIX = 'DB_';
+
+/**
+ * データベースシートの固定列の見出し
+ */
+const DATABASE_SHEET_HEADERS = {
+  DOCUMENT: 'ドキュメント',
+  NOTION_URL: 'NotionのURL',
+  LAST_EDITED: '最終更新日時'
+};
+
+/**
+ * エクスポート対象のうちデータベースのものを、それぞれのシートに出力する
+ * @param {Array} targets - {mapping, pages} の配列
+ * @param {Object} docIds - ページID -> ドキュメントのファイルID
+ */
+function mirrorDatabaseTargets(targets, docIds) {
+  for (const target of targets) {
+    applyExportMapping(target.mapping);
+    mirrorDatabaseToSheet(target.mapping, target.pages, docIds);
+  }
+}
+
+/**
+ * バッチ処理の完了時に、データベースのエクスポート対象をシートに出力する
+ * バッチ処理ではページの一覧を保存していないため、データベースを再度取得する
+ * @param {Array} results - 全バッチの処理結果
+ */
+function mirrorDatabaseTargetsForBatch(results) {
+  const docIds = getDocIdsFromResults(results);
+
+  for (const mapping of EXPORT_MAPPINGS) {
+    applyExportMapping(mapping);
+    if (!MIRROR_DATABASE_TO_SHEET || SOURCE_TYPE !== SOURCE_TYPES.DATABASE) {
+      continue;
+    }
+
+    try {
+      mirrorDatabaseToSheet(mapping, getNotionDatabasePages(DATABASE_ID), docIds);
+    } catch (error) {
+      Logger.log(`エクスポート対象「${mapping.name}」のデータベースをシートに出力できませんでした: ${describeError(error)}`);
+    }
+  }
+}
+
+/**
+ * 処理結果からページIDとドキュメントのファイルIDの対応を作成する
+ * @param {Array} results - 処理結果の配列
+ * @return {Object} ページID -> ファイルID
+ */
+function getDocIdsFromResults(results) {
+  const docIds = {};
+  for (const result of results) {
+    if (result.fileId) {
+      docIds[result.pageId] = result.fileId;
+    }
+  }
+  return docIds;
+}
+
+/**
+ * データベースのページをシートに出力する（シートの内容は毎回作り直す）
+ * データベースでないエクスポート対象や、設定で無効にしている場合は何もしない
+ * @param {Object} mapping - エクスポート対象（適用済みであること）
+ * @param {Array} pages - データベースのページの配列
+ * @param {Object} docIds - ページID -> ドキュメントのファイルID
+ */
+function mirrorDatabaseToSheet(mapping, pages, docIds) {
+  if (!MIRROR_DATABASE_TO_SHEET || mapping.sourceType !== SOURCE_TYPES.DATABASE) {
+    return;
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetName = getDatabaseSheetName(mapping);
+    let sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName);
+    }
+
+    // 既存のフィルタと内容をクリア
+    if (sheet.getFilter()) {
+      sheet.getFilter().remove();
+    }
+    sheet.clear();
+
+    const propertyNames = getDatabasePropertyNames(pages);
+    const headers = [DATABASE_SHEET_HEADERS.DOCUMENT]
+      .concat(propertyNames.map(escapeSheetText))
+      .concat([DATABASE_SHEET_HEADERS.NOTION_URL, DATABASE_SHEET_HEADERS.LAST_EDITED]);
+
+    const rows = pages.map(page => {
+      const docId = docIds[page.id];
+      const docLink = docId ? `=HYPERLINK("https://docs.google.com/document/d/${docId}/edit","開く")` : '';
+      const values = propertyNames.map(name => toSheetValue(page.properties[name], page));
+      return [docLink].concat(values).concat([page.url || '', new Date(page.last_edited_time)]);
+    });
+
+    sheet.getRange(1, 1, 1, headers.length)
+      .setValues([headers])
+      .setFontWeight('bold')
+      .setBackground('#f3f3f3');
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+
+    // 分析しやすいよう見出し行を固定し、フィルタを設定
+    sheet.setFrozenRows(1);
+    sheet.getRange(1, 1, rows.length + 1, headers.length).createFilter();
+    sheet.autoResizeColumns(1, headers.length);
+
+    Logger.log(`データベースをシート「${sheetName}」に出力しました: ${rows.length}行`);
+  } catch (error) {
+    // シートへの出力に失敗してもエクスポートの結果には影響させない
+    Logger.log(`データベースのシートへの出力に失敗しました: ${error.message}`);
+  }
+}
+
+/**
+ * データベースを出力するシート名を作成する
+ * @param {Object} mapping - エクスポート対象
+ * @return {string} シート名（シート名に使用できない文字は置き換え、100文字以内にする）
+ */
+function getDatabaseSheetName(mapping) {
+  const name = `${DATABASE_SHEET_PREFIX}${mapping.name}`.replace(/[\[\]*?\/\\:]/g, '_');
+  return Array.from(name).slice(0, 100).join('');
+}
+
+/**
+ * データベースのページからプロパティ名の一覧を作成する（タイトルのプロパティを先頭にする）
+ * @param {Array} pages - データベースのページの配列
+ * @return {Array} プロパティ名の配列
+ */
+function getDatabasePropertyNames(pages) {
+  const names = [];
+  let titleName = null;
+
+  for (const page of pages) {
+    for (const name of Object.keys(page.properties || {})) {
+      if (page.properties[name].type === 'title') {
+        titleName = name;
+      } else if (!names.includes(name)) {
+        names.push(name);
+      }
+    }
+  }
+
+  return titleName ? [titleName].concat(names) : names;
+}
+
+/**
+ * プロパティの値をシートのセルの値に変換する
+ * 数値・チェックボックス・日付は、シートで並べ替えや集計ができるよう型を保って出力する
+ * @param {Object} property - Notionページのプロパティ
+ * @param {Object} page - プロパティを持つNotionページ
+ * @return {*} セルの値
+ */
+function toSheetValue(property, page) {
+  if (!property) {
+    return '';
+  }
+
+  const value = property[property.type];
+
+  switch (property.type) {
+    case 'number':
+      return value === null ? '' : value;
+
+    case 'checkbox':
+      return value === true;
+
+    case 'date':
+      return value && value.start ? parseNotionDate(value.start) : '';
+
+    case 'created_time':
+    case 'last_edited_time':
+      return value ? new Date(value) : '';
+
+    case 'formula':
+      if (value && value.type === 'number') {
+        return value.number === null ? '' : value.number;
+      }
+      if (value && value.type === 'boolean') {
+        return value.boolean === true;
+      }
+      if (value && value.type === 'date') {
+        return value.date && value.date.start ? parseNotionDate(value.date.start) : '';
+      }
+      return escapeSheetText(formatPropertyValue(property));
+
+    case 'rollup':
+      if (value && value.type === 'number') {
+        // 25件を超えるリレーションがある場合は集計し直した値を使用する
+        const rollup = resolveRollupValue(property, page);
+        return rollup.number === null ? '' : rollup.number;
+      }
+      return escapeSheetText(formatPropertyValue(property, page));
+
+    default:
+      return escapeSheetText(formatPropertyValue(property, page));
+  }
+}
+
+/**
+ * 数式として解釈される文字列（=, +, -, @ で始まるもの）の先頭に ' を付け、文字列としてセルに入力する
+ * Notionのテキストがシートの数式として実行されないようにするため
+ * @param {string} text - セルに入力する文字列
+ * @return {string}
+ */
+function escapeSheetText(text) {
+  return /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
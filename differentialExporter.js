@@ -32,24 +32,25 @@ const DIFF_PROPS = {
     // プロパティサービスから前回のエクスポート情報を取得
     const properties = PropertiesService.getScriptProperties();
     let lastExportTimestamp = properties.getProperty(DIFF_PROPS.LAST_EXPORT_TIMESTAMP);
-    let processedPagesInfo = properties.getProperty(DIFF_PROPS.PROCESSED_PAGES);
     
-    // 処理済みページ情報のマップを作成（ページID -> {lastModified, docId}）
-    let processedPages = {};
-    if (processedPagesInfo) {
-      try {
-        processedPages = JSON.parse(processedPagesInfo);
-      } catch (e) {
-        Logger.log('処理済みページ情報の解析に失敗しました: ' + e.message);
-        processedPages = {};
-      }
-    }
+    // 処理済みページ情報のマップ（ページID -> {lastModified, docId, title}）
+    // ページ間のリンクの書き換えと共有するため、linkRewriterで読み込んだものを使用する
+    const processedPages = getPageDocMap();
     
-    // Notionデータベースからすべてのページのリストを取得
-    const pages = getNotionDatabasePages(DATABASE_ID);
+    // すべてのエクスポート対象からページのリストを取得
+    const sources = getPagesForAllMappings();
+    results.push(...sources.failures);
     
-    if (!pages || pages.length === 0) {
-      showAlert('データが見つかりません', 'データベースからページが見つかりませんでした。データベースIDを確認してください。');
+    const totalPages = sources.targets.reduce((sum, target) => sum + target.pages.length, 0);
+    
+    if (totalPages === 0) {
+      if (sources.failures.length > 0) {
+        recordResultsToSpreadsheet(results);
+        showAlert('ページ一覧の取得に失敗しました', 
+                  `Notionからエクスポート対象のページを取得できませんでした。\n${sources.failures.map(r => `${r.mappingName}: ${r.message}`).join('\n')}`);
+      } else {
+        showAlert('データが見つかりません', 'エクスポート対象のページが見つかりませんでした。設定シートのIDを確認してください。');
+      }
       return;
     }
     
@@ -60,25 +61,28 @@ const DIFF_PROPS = {
     const pagesToProcess = [];
     const skippedPages = [];
     
-    for (const page of pages) {
-      const pageId = page.id;
-      const lastEditedTime = page.last_edited_time;
-      
-      // このページが前回の処理後に更新されたか、または新規ページかチェック
-      const isNewOrUpdated = !processedPages[pageId] || 
-                             (lastEditedTime && processedPages[pageId].lastModified < lastEditedTime);
-      
-      if (isNewOrUpdated) {
-        pagesToProcess.push(page);
-      } else {
-        skippedPages.push({
-          pageId: pageId,
-          pageTitle: getPageTitle(page),
-          status: 'Skipped',
-          message: '前回のエクスポート以降更新がないためスキップされました',
-          timestamp: new Date().toISOString(),
-          fileId: processedPages[pageId].docId
-        });
+    for (const target of sources.targets) {
+      for (const page of target.pages) {
+        const pageId = page.id;
+        const lastEditedTime = page.last_edited_time;
+        
+        // このページが前回の処理後に更新されたか、または新規ページかチェック
+        const isNewOrUpdated = !processedPages[pageId] || 
+                               (lastEditedTime && processedPages[pageId].lastModified < lastEditedTime);
+        
+        if (isNewOrUpdated) {
+          pagesToProcess.push({ page: page, mapping: target.mapping });
+        } else {
+          skippedPages.push({
+            pageId: pageId,
+            pageTitle: getPageTitle(page),
+            status: 'Skipped',
+            message: '前回のエクスポート以降更新がないためスキップされました',
+            mappingName: target.mapping.name,
+            timestamp: new Date().toISOString(),
+            fileId: processedPages[pageId].docId
+          });
+        }
       }
     }
     
@@ -86,7 +90,7 @@ const DIFF_PROPS = {
     try {
       const ui = SpreadsheetApp.getUi();
       showAlert('差分エクスポートを開始します', 
-                `全${pages.length}ページ中、${pagesToProcess.length}ページを処理します（${skippedPages.length}ページはスキップ）。`);
+                `全${totalPages}ページ中、${pagesToProcess.length}ページを処理します（${skippedPages.length}ページはスキップ）。`);
     } catch (e) {
       Logger.log('UIが利用できないため、進捗表示はスキップします');
     }
@@ -94,12 +98,14 @@ const DIFF_PROPS = {
     Logger.log(`${pagesToProcess.length}ページを処理します（${skippedPages.length}ページはスキップ）...`);
     
     // 各ページを処理
-    for (const page of pagesToProcess) {
+    for (const { page, mapping } of pagesToProcess) {
+      // ページが属するエクスポート対象の設定を適用
+      applyExportMapping(mapping);
+      
       try {
         // ページタイトルを取得
         const pageId = page.id;
         const pageTitle = getPageTitle(page);
-        const lastEditedTime = page.last_edited_time;
         
         // 処理結果オブジェクトを初期化
         const result = {
@@ -107,6 +113,7 @@ const DIFF_PROPS = {
           pageTitle: pageTitle,
           status: 'Processing',
           message: '',
+          mappingName: mapping.name,
           timestamp: new Date().toISOString()
         };
         
@@ -118,7 +125,7 @@ const DIFF_PROPS = {
           let existingDocId = processedPages[pageId] ? processedPages[pageId].docId : null;
           
           // ブロックからGoogle Docsを生成して保存（既存のドキュメントがあれば更新）
-          const saveResult = convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId);
+          const saveResult = convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId, { folderId: getPageFolderId(page), page: page });
           
           if (saveResult.success) {
             result.status = 'Success';
@@ -126,11 +133,7 @@ const DIFF_PROPS = {
             result.fileId = saveResult.fileId;
             
             // 処理済みページの情報を更新
-            processedPages[pageId] = {
-              lastModified: lastEditedTime || currentTimestamp,
-              docId: saveResult.fileId,
-              title: pageTitle
-            };
+            recordPageDoc(page, saveResult.fileId, pageTitle);
           } else {
             result.status = 'Fail';
             result.message = saveResult.message;
@@ -138,6 +141,7 @@ const DIFF_PROPS = {
         } catch (error) {
           result.status = 'Fail';
           result.message = `エラー: ${error.message}`;
+          result.errorType = getErrorTypeLabel(error);
         }
         
         // 結果を配列に追加
@@ -152,6 +156,8 @@ const DIFF_PROPS = {
           pageTitle: `Unknown (ID: ${page.id})`,
           status: 'Fail',
           message: `ページ情報の取得中にエラーが発生: ${error.message}`,
+          errorType: getErrorTypeLabel(error),
+          mappingName: mapping.name,
           timestamp: new Date().toISOString()
         });
         
@@ -162,8 +168,15 @@ const DIFF_PROPS = {
     // スキップしたページの情報も結果に追加
     results.push(...skippedPages);
     
-    // 処理済みページの情報を保存
-    properties.setProperty(DIFF_PROPS.PROCESSED_PAGES, JSON.stringify(processedPages));
+    // データベースをシートに出力（スキップしたページも含め、処理済みのドキュメントへのリンク付き）
+    const docIds = {};
+    for (const pageId in processedPages) {
+      docIds[pageId] = processedPages[pageId].docId;
+    }
+    mirrorDatabaseTargets(sources.targets, docIds);
+    
+    // 後からエクスポートされたページへのリンクを書き換え、処理済みページの情報を保存
+    fixDocLinks();
     properties.setProperty(DIFF_PROPS.LAST_EXPORT_TIMESTAMP, currentTimestamp);
     
     // 全体の処理結果をログに出力
@@ -176,6 +189,7 @@ const DIFF_PROPS = {
     Logger.log(`成功: ${successCount}`);
     Logger.log(`失敗: ${failCount}`);
     Logger.log(`スキップ: ${skippedCount}`);
+    Logger.log(summarizeResultsByMapping(results));
     Logger.log('======================================');
     
     // スプレッドシートに結果を記録
@@ -188,7 +202,8 @@ const DIFF_PROPS = {
         `全体: ${results.length}ページ\n` +
         `成功: ${successCount}ページ\n` +
         `失敗: ${failCount}ページ\n` +
-        `スキップ: ${skippedCount}ページ\n\n` +
+        `スキップ: ${skippedCount}ページ` +
+        `${summarizeResultsByMapping(results)}\n\n` +
         `詳細は「エクスポート結果」シートをご確認ください。`
       );
       
@@ -212,7 +227,7 @@ const DIFF_PROPS = {
   function resetDifferentialExportData() {
     const properties = PropertiesService.getScriptProperties();
     properties.deleteProperty(DIFF_PROPS.LAST_EXPORT_TIMESTAMP);
-    properties.deleteProperty(DIFF_PROPS.PROCESSED_PAGES);
+    deleteLargeProperty(properties, DIFF_PROPS.PROCESSED_PAGES);
     
     showAlert('差分エクスポート情報をリセットしました', 
              '次回の差分エクスポート実行時、すべてのページが新規として処理されます。');
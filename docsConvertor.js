@@ -1,15 +1,106 @@
 // @ts-nocheck
+/**
+ * 子ブロックをインデントして表示するブロックタイプ
+ * （リスト・カラム・同期ブロックなどは個別に子ブロックを処理する）
+ */
+const BLOCK_TYPES_WITH_INDENTED_CHILDREN = [
+  'paragraph', 'heading_1', 'heading_2', 'heading_3',
+  'to_do', 'callout', 'quote'
+];
+
+/**
+ * トグル（開閉できる見出しを含む）の中身の表示方法
+ */
+const TOGGLE_DISPLAY_MODES = {
+  EXPANDED: '展開',
+  TABLE: '表',
+  COLLAPSED: '折りたたみ'
+};
+
+/**
+ * 見出しのブロックタイプとGoogle Docsの見出しの対応
+ */
+const HEADING_BLOCK_TYPES = {
+  heading_1: 'HEADING1',
+  heading_2: 'HEADING2',
+  heading_3: 'HEADING3'
+};
+
+/**
+ * トグルを表で表示する場合の、見出しのセルの幅（ポイント）
+ */
+const TOGGLE_SUMMARY_CELL_WIDTH = 150;
+
+/**
+ * 表のセルの左右の余白の合計（ポイント、Google Docsの既定値）
+ */
+const TABLE_CELL_PADDING = 10;
+
+/**
+ * 子ブロックのインデント幅（ポイント）
+ */
+const CHILD_BLOCK_INDENT = 24;
+
+/**
+ * リストの入れ子のレベルごとのインデント幅（ポイント、Google Docsの既定値）
+ * リストアイテムの下の段落などを、リストアイテムの本文の位置に揃えるために使用する
+ */
+const LIST_NESTING_INDENT = 36;
+
+/**
+ * リストの入れ子のレベルごとの記号（レベルが深くなると順に切り替え、最後まで行くと最初に戻る）
+ */
+const LIST_GLYPH_TYPES = {
+  BULLET: ['BULLET', 'HOLLOW_BULLET', 'SQUARE_BULLET'],
+  NUMBER: ['NUMBER', 'LATIN_LOWER', 'ROMAN_LOWER']
+};
+
+/**
+ * リストアイテムのブロックタイプとリストの種類の対応
+ */
+const LIST_BLOCK_TYPES = {
+  bulleted_list_item: 'BULLET',
+  numbered_list_item: 'NUMBER'
+};
+
+/**
+ * ファイル名に使用できない文字（Google Driveの同期先のOSで使用できない文字と制御文字）
+ */
+const INVALID_FILE_NAME_CHARS = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+/**
+ * 表の見出し行・見出し列の背景色
+ */
+const TABLE_HEADER_BACKGROUND = '#f3f3f3';
+
+/**
+ * 表の枠線の色
+ */
+const TABLE_BORDER_COLOR = '#dddddd';
+
 /**
  * NotionのブロックをGoogle Docs形式に変換して保存 (リファクタリング版)
  * @param {Array} blocks - Notionブロックの配列
  * @param {string} pageTitle - ページタイトル
  * @param {string} existingDocId - 既存のGoogle DocsのID（更新する場合）
+ * @param {Object} options - 追加オプション
+ *   folderId: 保存先フォルダID（省略時はDRIVE_FOLDER_ID）
+ *   page: Notionページオブジェクト（指定した場合はタイトルの下にプロパティ表を追加する）
  * @return {Object} {success: boolean, message: string, fileId: string} 形式のステータス
  */
-function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
+function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null, options = {}) {
     try {
-      // 安全なファイル名を作成
-      const safeFileName = pageTitle.replace(/[\\/:*?"<>|]/g, '_');
+      // 保存先フォルダ
+      const targetFolderId = options.folderId || DRIVE_FOLDER_ID;
+      
+      // このドキュメントに含まれるNotionページへのリンクを記録する
+      beginDocLinkTracking();
+      
+
+      // 安全なファイル名を作成（ページが指定されている場合はファイル名のテンプレートを使用）
+      const safeFileName = options.page
+        ? buildDocFileName(options.page, pageTitle)
+        : sanitizeFileName(pageTitle, FILE_NAME_MAX_LENGTH);
       
       let doc;
       let docFile;
@@ -18,8 +109,12 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
       // 既存のドキュメントがある場合は更新、なければ新規作成
       if (existingDocId) {
         try {
-          doc = DocumentApp.openById(existingDocId);
           docFile = DriveApp.getFileById(existingDocId);
+          // ゴミ箱に移動されたドキュメントは更新せず、新規作成する
+          if (docFile.isTrashed()) {
+            throw new Error('ドキュメントはゴミ箱にあります');
+          }
+          doc = DocumentApp.openById(existingDocId);
           isUpdate = true;
           
           // ドキュメントの内容をクリア（最初の段落を除く）
@@ -36,7 +131,7 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
       // 新規作成モード
       if (!existingDocId) {
         // 同名のファイルが存在するか確認
-        const existingFiles = DriveApp.getFolderById(DRIVE_FOLDER_ID)
+        const existingFiles = DriveApp.getFolderById(targetFolderId)
           .getFilesByName(safeFileName);
         
         // 既存のファイルがある場合は削除
@@ -68,6 +163,9 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
       // ドキュメントのbodyを取得
       const body = doc.getBody();
       
+      // テーマの本文のフォントを設定
+      applyThemeFonts(body);
+      
       // タイトルを設定
       body.appendParagraph(pageTitle)
           .setHeading(DocumentApp.ParagraphHeading.HEADING1)
@@ -76,6 +174,16 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
             [DocumentApp.Attribute.BOLD]: true
           });
       
+      // タイトルの下にプロパティ表を追加
+      if (options.page && SHOW_PROPERTY_TABLE) {
+        try {
+          appendPropertyTable(body, options.page);
+        } catch (e) {
+          Logger.log(`プロパティ表の追加に失敗: ${e.message}`);
+          // プロパティ表の追加に失敗しても本文の変換は続行
+        }
+      }
+      
       // ページIDを取得（最初のブロックから取得可能）
       let pageId = "";
       if (blocks.length > 0 && blocks[0].parent) {
@@ -86,168 +194,58 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
         pageId = Utilities.getUuid();
       }
       
-      // ブロックを処理してGoogle Docsに変換
-      let currentListItems = [];
-      let currentListType = null;
+      // コメントを取得（設定で有効な場合のみ。ブロックごとにリクエストするため時間がかかる）
+      const comments = EXPORT_COMMENTS ? fetchPageComments(options.page ? options.page.id : pageId, blocks) : null;
       
-      blocks.forEach((block, index) => {
-        try {
-          const blockType = block.type;
-          
-          // リスト以外のブロックが来たらリストをフラッシュ
-          if (blockType !== 'bulleted_list_item' && blockType !== 'numbered_list_item' && currentListItems.length > 0) {
-            appendListItems(body, currentListItems, currentListType);
-            currentListItems = [];
-            currentListType = null;
-          }
-          
-          // ブロックタイプに応じて処理
-          switch (blockType) {
-            case 'paragraph':
-              if (block.paragraph && block.paragraph.rich_text) {
-                appendRichTextToDoc(body.appendParagraph(''), block.paragraph.rich_text);
-              }
-              break;
-              
-            case 'heading_1':
-              if (block.heading_1 && block.heading_1.rich_text) {
-                const heading = body.appendParagraph('');
-                heading.setHeading(DocumentApp.ParagraphHeading.HEADING1);
-                appendRichTextToDoc(heading, block.heading_1.rich_text);
-              }
-              break;
-              
-            case 'heading_2':
-              if (block.heading_2 && block.heading_2.rich_text) {
-                const heading = body.appendParagraph('');
-                heading.setHeading(DocumentApp.ParagraphHeading.HEADING2);
-                appendRichTextToDoc(heading, block.heading_2.rich_text);
-              }
-              break;
-              
-            case 'heading_3':
-              if (block.heading_3 && block.heading_3.rich_text) {
-                const heading = body.appendParagraph('');
-                heading.setHeading(DocumentApp.ParagraphHeading.HEADING3);
-                appendRichTextToDoc(heading, block.heading_3.rich_text);
-              }
-              break;
-              
-            case 'bulleted_list_item':
-              if (block.bulleted_list_item && block.bulleted_list_item.rich_text) {
-                // リストアイテムをバッファに追加
-                currentListType = 'BULLET';
-                currentListItems.push({
-                  text: block.bulleted_list_item.rich_text,
-                  type: 'BULLET'
-                });
-              }
-              break;
-              
-            case 'numbered_list_item':
-              if (block.numbered_list_item && block.numbered_list_item.rich_text) {
-                // リストアイテムをバッファに追加
-                currentListType = 'NUMBER';
-                currentListItems.push({
-                  text: block.numbered_list_item.rich_text,
-                  type: 'NUMBER'
-                });
-              }
-              break;
-              
-            case 'to_do':
-              if (block.to_do && block.to_do.rich_text) {
-                const todoText = block.to_do.checked ? '☑ ' : '☐ ';
-                const paragraph = body.appendParagraph(todoText);
-                appendRichTextToDoc(paragraph, block.to_do.rich_text);
-              }
-              break;
-              
-            case 'toggle':
-              if (block.toggle && block.toggle.rich_text) {
-                const toggleText = '▶ ';
-                const paragraph = body.appendParagraph(toggleText);
-                appendRichTextToDoc(paragraph, block.toggle.rich_text);
-                // 子要素があればインデントして追加する（実際のToggleはサポートできないので視覚的な表現）
-                body.appendParagraph('    [Toggle content - collapsed]').setItalic(true);
-              }
-              break;
-              
-            case 'callout':
-              // Calloutブロックを処理
-              processCalloutBlock(block, body);
-              break;
-              
-            case 'code':
-              if (block.code && block.code.rich_text) {
-                const codeBlock = body.appendParagraph('');
-                appendRichTextToDoc(codeBlock, block.code.rich_text);
-                codeBlock.setAttributes({
-                  [DocumentApp.Attribute.FONT_FAMILY]: 'Courier New',
-                  [DocumentApp.Attribute.BACKGROUND_COLOR]: '#f6f8fa'
-                });
-                if (block.code.language) {
-                  body.appendParagraph(`Language: ${block.code.language}`).setItalic(true);
-                }
-              }
-              break;
-              
-            case 'quote':
-              if (block.quote && block.quote.rich_text) {
-                const quoteBlock = body.appendParagraph('');
-                appendRichTextToDoc(quoteBlock, block.quote.rich_text);
-                quoteBlock.setAttributes({
-                  [DocumentApp.Attribute.INDENT_START]: 30,
-                  [DocumentApp.Attribute.INDENT_FIRST_LINE]: 30,
-                  [DocumentApp.Attribute.ITALIC]: true,
-                  [DocumentApp.Attribute.FOREGROUND_COLOR]: '#6a737d'
-                });
-              }
-              break;
-              
-            case 'divider':
-              body.appendHorizontalRule();
-              break;
-              
-            case 'image':
-              // 画像処理を改善した関数を呼び出す
-              processImageBlock(block, body, imageFolder, pageId);
-              break;
-              
-            case 'table':
-              // テーブルは完全なサポートが難しいため、プレースホルダを表示
-              body.appendParagraph('[Table content - テーブルは完全にサポートされていません]').setItalic(true);
-              break;
-              
-            default:
-              Logger.log(`未サポートのブロックタイプ: ${blockType}`);
-              body.appendParagraph(`[${blockType} - このブロックタイプはサポートされていません]`).setItalic(true);
-          }
-        } catch (error) {
-          Logger.log(`ブロック ${index} (${block.type || 'unknown'}) の処理中にエラー: ${error.message}`);
-          body.appendParagraph(`[Error processing ${block.type || 'unknown'} block: ${error.message}]`).setItalic(true);
-        }
+      // ブロックを処理してGoogle Docsに変換
+      appendBlocksToBody(body, blocks, {
+        imageFolder: imageFolder,
+        pageId: pageId,
+        comments: comments
       });
       
-      // 残っているリストアイテムがあればフラッシュ
-      if (currentListItems.length > 0) {
-        appendListItems(body, currentListItems, currentListType);
+      // 脚注の場合はコメントの一覧を末尾に追加
+      if (comments) {
+        appendCommentNotes(body, comments);
       }
       
+      // ブックマークなどで新しく取得したリンク先のメタデータを保存
+      saveLinkMetadataCache();
+      
       // ドキュメントを保存
       doc.saveAndClose();
+      finishDocLinkTracking(doc.getId());
       
       // 新規作成の場合は、作成したドキュメントを指定フォルダに移動
+      let isMoved = false;
+      let isRenamed = false;
       if (!isUpdate) {
-        const folder = DriveApp.getFolderById(DRIVE_FOLDER_ID);
+        const folder = DriveApp.getFolderById(targetFolderId);
         folder.addFile(docFile);
         DriveApp.getRootFolder().removeFile(docFile);
+      } else if (!isFileInFolder(docFile, targetFolderId)) {
+        // 更新の場合も、保存先フォルダが変わっていれば移動する（フォルダの振り分けに使うプロパティが変わった場合など）
+        docFile.moveTo(DriveApp.getFolderById(targetFolderId));
+        isMoved = true;
+        Logger.log(`ドキュメント "${safeFileName}" をフォルダ (ID: ${targetFolderId}) に移動しました`);
+      }
+      
+      // 更新の場合、ファイル名が変わっていれば変更する（タイトルやテンプレートに使うプロパティが変わった場合など）
+      if (isUpdate && docFile.getName() !== safeFileName) {
+        Logger.log(`ドキュメント "${docFile.getName()}" の名前を "${safeFileName}" に変更しました`);
+        docFile.setName(safeFileName);
+        isRenamed = true;
+      }
+      
+      // Docsのコメントの場合は保存後にDrive APIでコメントを追加
+      if (comments) {
+        createDriveComments(doc.getId(), comments);
       }
       
       return {
         success: true,
         message: isUpdate 
-          ? `ファイル "${safeFileName}" を更新しました`
+          ? `ファイル "${safeFileName}" を更新しました${describeDocChanges(isMoved, isRenamed)}`
           : `ファイル "${safeFileName}" をGoogle Docs形式で作成しました`,
         fileId: doc.getId()
       };
@@ -262,6 +260,531 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
     }
   }
   
+  /**
+   * ファイル名のテンプレート（FILE_NAME_TEMPLATE）からドキュメントのファイル名を作成する
+   * テンプレートが未設定、または展開結果が空の場合はページタイトルを使用する
+   * @param {Object} page - Notionページオブジェクト
+   * @param {string} pageTitle - ページタイトル
+   * @return {string} 使用できない文字を置き換え、長さを制限したファイル名
+   */
+  function buildDocFileName(page, pageTitle) {
+    const fileName = FILE_NAME_TEMPLATE ? expandPageTemplate(FILE_NAME_TEMPLATE, page) : pageTitle;
+    return sanitizeFileName(fileName.trim() ? fileName : pageTitle, FILE_NAME_MAX_LENGTH);
+  }
+  
+  /**
+   * ファイル名に使用できない文字を置き換え、長さを制限する
+   * @param {string} fileName - ファイル名
+   * @param {number} maxLength - 最大文字数
+   * @return {string}
+   */
+  function sanitizeFileName(fileName, maxLength) {
+    const sanitized = String(fileName)
+      .replace(INVALID_FILE_NAME_CHARS, '_')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^\.+|\.+$/g, '');
+    
+    // サロゲートペア（絵文字など）の途中で切らないよう、コードポイント単位で切り詰める
+    const truncated = Array.from(sanitized).slice(0, maxLength).join('').trim();
+    return truncated || 'Untitled';
+  }
+  
+  /**
+   * ドキュメントの移動・名前の変更を結果メッセージ用の文字列にする
+   * @param {boolean} isMoved - フォルダを移動したかどうか
+   * @param {boolean} isRenamed - 名前を変更したかどうか
+   * @return {string}
+   */
+  function describeDocChanges(isMoved, isRenamed) {
+    const changes = [];
+    if (isMoved) {
+      changes.push('フォルダを移動しました');
+    }
+    if (isRenamed) {
+      changes.push('名前を変更しました');
+    }
+    return changes.length > 0 ? `（${changes.join('、')}）` : '';
+  }
+  
+  /**
+   * ファイルが指定したフォルダに含まれているかどうか
+   * @param {File} file - Google Driveのファイル
+   * @param {string} folderId - フォルダID
+   * @return {boolean}
+   */
+  function isFileInFolder(file, folderId) {
+    const parents = file.getParents();
+    while (parents.hasNext()) {
+      if (parents.next().getId() === folderId) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  /**
+   * Notionブロックの配列をGoogle Docsのコンテナ（bodyなど）に追加する
+   * 子ブロックを持つブロックは再帰的に処理する
+   * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+   * @param {Array} blocks - Notionブロックの配列（childrenに子ブロックを持つ）
+   * @param {Object} context - 変換時の共有情報 {imageFolder: Folder, pageId: string, comments: コメント（取得しない場合はnull）, containerWidth: 表のセルの中の場合のセルの幅}
+   */
+  function appendBlocksToBody(body, blocks, context) {
+    let currentListItems = [];
+    let currentListType = null;
+    
+    blocks.forEach((block, index) => {
+      try {
+        const blockType = block.type;
+        
+        // リスト以外のブロックや種類の違うリストが来たらリストをフラッシュ（次のリストは番号を1から始める）
+        if (LIST_BLOCK_TYPES[blockType] !== currentListType && currentListItems.length > 0) {
+          appendListItems(body, currentListItems, context);
+          currentListItems = [];
+          currentListType = null;
+        }
+        
+        // このブロックで追加される最初の要素の位置（コメントの参照先）
+        const elementIndex = body.getNumChildren();
+        
+        // ブロックタイプに応じて処理
+        switch (blockType) {
+          case 'paragraph':
+            if (block.paragraph && block.paragraph.rich_text) {
+              appendRichTextToDoc(body.appendParagraph(''), block.paragraph.rich_text);
+            }
+            break;
+            
+          case 'heading_1':
+            if (isToggleBlock(block)) {
+              appendToggleBlock(body, block, context);
+            } else if (block.heading_1 && block.heading_1.rich_text) {
+              const heading = body.appendParagraph('');
+              heading.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+              appendRichTextToDoc(heading, block.heading_1.rich_text);
+            }
+            break;
+            
+          case 'heading_2':
+            if (isToggleBlock(block)) {
+              appendToggleBlock(body, block, context);
+            } else if (block.heading_2 && block.heading_2.rich_text) {
+              const heading = body.appendParagraph('');
+              heading.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+              appendRichTextToDoc(heading, block.heading_2.rich_text);
+            }
+            break;
+            
+          case 'heading_3':
+            if (isToggleBlock(block)) {
+              appendToggleBlock(body, block, context);
+            } else if (block.heading_3 && block.heading_3.rich_text) {
+              const heading = body.appendParagraph('');
+              heading.setHeading(DocumentApp.ParagraphHeading.HEADING3);
+              appendRichTextToDoc(heading, block.heading_3.rich_text);
+            }
+            break;
+            
+          case 'bulleted_list_item':
+            if (block.bulleted_list_item && block.bulleted_list_item.rich_text) {
+              // リストアイテムをバッファに追加
+              currentListType = 'BULLET';
+              currentListItems.push({
+                text: block.bulleted_list_item.rich_text,
+                type: 'BULLET',
+                id: block.id,
+                children: block.children || []
+              });
+            }
+            break;
+            
+          case 'numbered_list_item':
+            if (block.numbered_list_item && block.numbered_list_item.rich_text) {
+              // リストアイテムをバッファに追加
+              currentListType = 'NUMBER';
+              currentListItems.push({
+                text: block.numbered_list_item.rich_text,
+                type: 'NUMBER',
+                id: block.id,
+                children: block.children || []
+              });
+            }
+            break;
+            
+          case 'to_do':
+            if (block.to_do && block.to_do.rich_text) {
+              const todoText = block.to_do.checked ? '☑ ' : '☐ ';
+              const paragraph = body.appendParagraph(todoText);
+              appendRichTextToDoc(paragraph, block.to_do.rich_text);
+            }
+            break;
+            
+          case 'toggle':
+            if (block.toggle && block.toggle.rich_text) {
+              appendToggleBlock(body, block, context);
+            }
+            break;
+            
+          case 'callout':
+            // Calloutブロックを処理
+            processCalloutBlock(block, body);
+            break;
+            
+          case 'code':
+            if (block.code && block.code.rich_text) {
+              appendCodeBlock(body, block);
+            }
+            break;
+            
+          case 'quote':
+            if (block.quote && block.quote.rich_text) {
+              const quoteBlock = body.appendParagraph('');
+              appendRichTextToDoc(quoteBlock, block.quote.rich_text);
+              quoteBlock.setAttributes({
+                [DocumentApp.Attribute.INDENT_START]: 30,
+                [DocumentApp.Attribute.INDENT_FIRST_LINE]: 30,
+                [DocumentApp.Attribute.ITALIC]: true,
+                [DocumentApp.Attribute.FOREGROUND_COLOR]: getThemeValue('引用の文字色')
+              });
+            }
+            break;
+            
+          case 'divider':
+            body.appendHorizontalRule();
+            break;
+            
+          case 'file':
+          case 'pdf':
+          case 'video':
+          case 'audio':
+            processAttachmentBlock(block, body, context.pageId);
+            break;
+            
+          case 'equation':
+            appendEquationBlock(body, block);
+            break;
+            
+          case 'bookmark':
+          case 'embed':
+          case 'link_preview':
+            appendLinkCard(body, block);
+            break;
+            
+          case 'image':
+            // 画像処理を改善した関数を呼び出す
+            processImageBlock(block, body, context.imageFolder, context.pageId);
+            break;
+            
+          case 'table':
+            appendNotionTable(body, block);
+            break;
+            
+          case 'child_page':
+            // 子ページは別のドキュメントとしてエクスポートされるため、タイトルのみ表示
+            body.appendParagraph(`📄 ${block.child_page.title || 'Untitled'}`);
+            break;
+            
+          case 'child_database':
+            body.appendParagraph(`🗃 ${block.child_database.title || 'Untitled'}`);
+            break;
+            
+          case 'link_to_page':
+            appendLinkToPage(body, block);
+            break;
+            
+          case 'column_list':
+            appendColumnList(body, block, context);
+            break;
+            
+          case 'column':
+            // column_list の外にある列は子ブロックをそのまま追加する
+            appendBlocksToBody(body, block.children || [], context);
+            break;
+            
+          case 'synced_block':
+            // 同期ブロックは同期元の内容（取得時に解決済み）をそのまま追加する
+            if (block.syncedSourceUnavailable) {
+              body.appendParagraph('[同期ブロック - 同期元のコンテンツにアクセスできません]').setItalic(true);
+            } else {
+              appendBlocksToBody(body, block.children || [], context);
+            }
+            break;
+            
+          default:
+            Logger.log(`未サポートのブロックタイプ: ${blockType}`);
+            body.appendParagraph(`[${blockType} - このブロックタイプはサポートされていません]`).setItalic(true);
+        }
+        
+        // ブロックに付いたコメントの参照を追加（リストアイテムはリストの追加時に処理する）
+        if (context.comments && blockType !== 'bulleted_list_item' && blockType !== 'numbered_list_item') {
+          const element = body.getNumChildren() > elementIndex ? body.getChild(elementIndex) : null;
+          appendCommentMarkers(body, element, block.id, context.comments);
+        }
+        
+        // 子ブロックがあればインデントして追加（トグルの中身はトグルの処理で追加済み）
+        if (BLOCK_TYPES_WITH_INDENTED_CHILDREN.includes(blockType) && !isToggleBlock(block)) {
+          appendChildBlocks(body, block.children, context);
+        }
+      } catch (error) {
+        Logger.log(`ブロック ${index} (${block.type || 'unknown'}) の処理中にエラー: ${error.message}`);
+        body.appendParagraph(`[Error processing ${block.type || 'unknown'} block: ${error.message}]`).setItalic(true);
+      }
+    });
+    
+    // 残っているリストアイテムがあればフラッシュ
+    if (currentListItems.length > 0) {
+      appendListItems(body, currentListItems, context);
+    }
+  }
+  
+  /**
+   * 他のページへのリンク（link_to_page）ブロックを追加する
+   * エクスポート済みのページの場合はドキュメントに、それ以外はNotionにリンクする
+   * @param {Body} body - ドキュメントのbody
+   * @param {Object} block - link_to_page ブロック
+   */
+  function appendLinkToPage(body, block) {
+    const link = block.link_to_page;
+    const targetId = link.page_id || link.database_id;
+    if (!targetId) {
+      return;
+    }
+    
+    // タイトルは処理済みページ情報から、なければNotionから取得する
+    const entry = getPageDocMap()[targetId];
+    let title = entry ? entry.title : '';
+    if (!title) {
+      try {
+        title = link.type === 'page_id' ? getPageTitle(getNotionPageById(targetId)) : 'リンク先のデータベース';
+      } catch (e) {
+        Logger.log(`リンク先 ${targetId} のタイトルを取得できませんでした: ${e.message}`);
+        title = 'リンク先のページ';
+      }
+    }
+    
+    const text = `↗ ${title}`;
+    const paragraph = body.appendParagraph(text);
+    const url = resolveNotionLink(`https://www.notion.so/${targetId.replace(/-/g, '')}`);
+    paragraph.editAsText().setLinkUrl(2, text.length - 1, url);
+  }
+  
+  /**
+   * Notionの表（table）ブロックをGoogle Docsの表として追加する
+   * 行（table_row）は子ブロックとして取得済みであること
+   * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+   * @param {Object} block - table ブロック
+   */
+  function appendNotionTable(body, block) {
+    const rows = (block.children || []).filter(child => child.type === 'table_row');
+    if (rows.length === 0) {
+      // 最大階層に達して行を取得していない場合など
+      body.appendParagraph('[表 - 行を取得できませんでした]').setItalic(true);
+      return;
+    }
+    
+    const columnCount = Math.max(block.table.table_width || 0, ...rows.map(row => row.table_row.cells.length));
+    const table = body.appendTable(rows.map(() => new Array(columnCount).fill('')));
+    table.setBorderColor(TABLE_BORDER_COLOR);
+    
+    rows.forEach((row, rowIndex) => {
+      for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+        const richText = row.table_row.cells[columnIndex] || [];
+        const cell = table.getCell(rowIndex, columnIndex);
+        appendRichTextToDoc(cell.getChild(0).asParagraph(), richText);
+        
+        const isHeader = (block.table.has_column_header && rowIndex === 0) ||
+          (block.table.has_row_header && columnIndex === 0);
+        const background = getTableCellBackground(richText);
+        
+        if (background) {
+          cell.setBackgroundColor(background);
+        } else if (isHeader) {
+          cell.setBackgroundColor(TABLE_HEADER_BACKGROUND);
+        }
+        if (isHeader && richText.length > 0) {
+          cell.editAsText().setBold(true);
+        }
+      }
+    });
+  }
+  
+  /**
+   * 表のセルの背景色を取得する
+   * Notionのセルの色はセル内のテキストの背景色として返されるため、すべてのテキストが同じ背景色の場合にセルの色とする
+   * @param {Array} richText - セルのリッチテキスト配列
+   * @return {string} カラーコード（背景色がない場合はnull）
+   */
+  function getTableCellBackground(richText) {
+    const colors = richText.map(textObj => textObj.annotations ? textObj.annotations.color : 'default');
+    if (colors.length === 0 || colors.some(color => color !== colors[0])) {
+      return null;
+    }
+    return getNotionBackgroundColor(colors[0]);
+  }
+  
+  /**
+   * トグル（toggle、開閉できる見出し）かどうか
+   * @param {Object} block - Notionブロック
+   * @return {boolean}
+   */
+  function isToggleBlock(block) {
+    if (block.type === 'toggle') {
+      return true;
+    }
+    return Boolean(HEADING_BLOCK_TYPES[block.type] && block[block.type] && block[block.type].is_toggleable);
+  }
+  
+  /**
+   * トグルを追加する
+   * 中身は設定の「トグルの表示」に応じて、インデントして展開・見出しと中身の2つのセルの表・プレースホルダのいずれかで表示する
+   * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+   * @param {Object} block - toggle ブロック、または is_toggleable の見出しブロック
+   * @param {Object} context - 変換時の共有情報
+   */
+  function appendToggleBlock(body, block, context) {
+    const children = block.children || [];
+    
+    if (TOGGLE_DISPLAY === TOGGLE_DISPLAY_MODES.TABLE && children.length > 0) {
+      appendToggleTable(body, block, context);
+      return;
+    }
+    
+    // 見出しはそのまま、トグルは ▶ を付けた段落にする
+    const heading = HEADING_BLOCK_TYPES[block.type];
+    const summary = body.appendParagraph(heading ? '' : '▶ ');
+    if (heading) {
+      summary.setHeading(DocumentApp.ParagraphHeading[heading]);
+    }
+    appendRichTextToDoc(summary, block[block.type].rich_text);
+    
+    if (children.length === 0) {
+      return;
+    }
+    
+    if (TOGGLE_DISPLAY === TOGGLE_DISPLAY_MODES.COLLAPSED) {
+      body.appendParagraph('[Toggle content - collapsed]')
+        .setItalic(true)
+        .setIndentStart(CHILD_BLOCK_INDENT)
+        .setIndentFirstLine(CHILD_BLOCK_INDENT);
+      return;
+    }
+    
+    appendChildBlocks(body, children, context);
+  }
+  
+  /**
+   * トグルを「見出し | 中身」の2つのセルの表として追加する
+   * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+   * @param {Object} block - toggle ブロック、または is_toggleable の見出しブロック
+   * @param {Object} context - 変換時の共有情報
+   */
+  function appendToggleTable(body, block, context) {
+    const table = body.appendTable([['', '']]);
+    table.setBorderColor(TABLE_BORDER_COLOR);
+    
+    const summaryCell = table.getCell(0, 0);
+    summaryCell.setBackgroundColor(TABLE_HEADER_BACKGROUND).setWidth(TOGGLE_SUMMARY_CELL_WIDTH);
+    const summary = summaryCell.getChild(0).asParagraph();
+    appendRichTextToDoc(summary, block[block.type].rich_text);
+    if (HEADING_BLOCK_TYPES[block.type]) {
+      summary.setHeading(DocumentApp.ParagraphHeading[HEADING_BLOCK_TYPES[block.type]]);
+    } else if (summary.getText()) {
+      summary.editAsText().setBold(true);
+    }
+    
+    // 中身のセルの幅は、表を追加したコンテナの幅から見出しのセルの幅を除いたもの
+    const containerWidth = getContainerWidth(body, context);
+    const contentCell = table.getCell(0, 1);
+    appendBlocksToBody(contentCell, block.children, Object.assign({}, context, {
+      containerWidth: containerWidth ? containerWidth - TOGGLE_SUMMARY_CELL_WIDTH - TABLE_CELL_PADDING : null
+    }));
+    
+    // セルの作成時にある空の段落を削除する
+    if (contentCell.getNumChildren() > 1) {
+      contentCell.getChild(0).removeFromParent();
+    }
+  }
+  
+  /**
+   * 複数列のレイアウト（column_list）を、列ごとに1つのセルを持つ枠線なしの表として追加する
+   * セルの幅はNotionの列の幅の比率（width_ratio、APIが返す場合）に合わせる
+   * 追加先の幅が分からない場合は、セルの幅を指定せずGoogle Docsに任せる
+   * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+   * @param {Object} block - column_list ブロック
+   * @param {Object} context - 変換時の共有情報
+   */
+  function appendColumnList(body, block, context) {
+    const columns = (block.children || []).filter(child => child.type === 'column');
+    if (columns.length === 0) {
+      appendBlocksToBody(body, block.children || [], context);
+      return;
+    }
+    
+    const contentWidth = getContainerWidth(body, context);
+    const ratios = columns.map(column => (column.column && column.column.width_ratio) || 1 / columns.length);
+    const totalRatio = ratios.reduce((sum, ratio) => sum + ratio, 0);
+    
+    const table = body.appendTable([columns.map(() => '')]);
+    table.setBorderWidth(0);
+    
+    columns.forEach((column, index) => {
+      const cell = table.getCell(0, index);
+      const cellWidth = contentWidth ? contentWidth * ratios[index] / totalRatio : null;
+      if (cellWidth) {
+        cell.setWidth(cellWidth);
+      }
+      
+      appendBlocksToBody(cell, column.children || [], Object.assign({}, context, {
+        containerWidth: cellWidth ? cellWidth - TABLE_CELL_PADDING : null
+      }));
+      
+      // セルの作成時にある空の段落を削除する
+      if (cell.getNumChildren() > 1) {
+        cell.getChild(0).removeFromParent();
+      }
+      if (cellWidth) {
+        fitImagesToWidth(cell, cellWidth - TABLE_CELL_PADDING);
+      }
+    });
+  }
+  
+  /**
+   * 子要素を追加するコンテナの本文の幅を取得する
+   * 表のセルの中ではページの幅を取得できないため、セルを作成したときに context に記録した幅を使用する
+   * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+   * @param {Object} context - 変換時の共有情報
+   * @return {number} 幅（ポイント、分からない場合はnull）
+   */
+  function getContainerWidth(body, context) {
+    if (body.getPageWidth) {
+      return body.getPageWidth() - body.getMarginLeft() - body.getMarginRight();
+    }
+    return context.containerWidth || null;
+  }
+  
+  /**
+   * コンテナ内の画像が指定した幅を超える場合に、縦横比を保って縮小する
+   * @param {Element} container - 表のセルなどのコンテナ
+   * @param {number} maxWidth - 最大の幅（ポイント）
+   */
+  function fitImagesToWidth(container, maxWidth) {
+    for (let i = 0; i < container.getNumChildren(); i++) {
+      const element = container.getChild(i);
+      
+      if (element.getType() === DocumentApp.ElementType.INLINE_IMAGE) {
+        const image = element.asInlineImage();
+        const width = image.getWidth();
+        if (width > maxWidth) {
+          image.setHeight(Math.round(image.getHeight() * maxWidth / width));
+          image.setWidth(Math.round(maxWidth));
+        }
+      } else if (element.getNumChildren) {
+        fitImagesToWidth(element, maxWidth);
+      }
+    }
+  }
+  
   /**
    * NotionのCalloutブロックを処理する関数
    * @param {Object} block - Notionブロック
@@ -288,73 +811,10 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
         }
       }
       
-      // Calloutの背景色に応じてスタイルを変更
-      let backgroundColor = '#f1f1f1'; // デフォルトの背景色
-      let textColor = '#000000'; // デフォルトのテキスト色
-      
-      // Notionの背景色に基づいて色を設定
-      if (block.callout.color) {
-        switch (block.callout.color) {
-          case 'blue_background':
-            backgroundColor = '#d3e5ef';
-            break;
-          case 'brown_background':
-            backgroundColor = '#e9e5e3';
-            break;
-          case 'gray_background':
-            backgroundColor = '#e9e8e8';
-            break;
-          case 'green_background':
-            backgroundColor = '#ddedea';
-            break;
-          case 'orange_background':
-            backgroundColor = '#f9e2d2';
-            break;
-          case 'pink_background':
-            backgroundColor = '#f4dfeb';
-            break;
-          case 'purple_background':
-            backgroundColor = '#e8def8';
-            break;
-          case 'red_background':
-            backgroundColor = '#fbe4e4';
-            break;
-          case 'yellow_background':
-            backgroundColor = '#fbf3db';
-            break;
-          // テキスト色が背景色のケース
-          case 'blue':
-            textColor = '#0b6bcb';
-            break;
-          case 'brown':
-            textColor = '#64473a';
-            break;
-          case 'gray':
-            textColor = '#787774';
-            break;
-          case 'green':
-            textColor = '#0f7b6c';
-            break;
-          case 'orange':
-            textColor = '#d9730d';
-            break;
-          case 'pink':
-            textColor = '#ad1a72';
-            break;
-          case 'purple':
-            textColor = '#9b51e0';
-            break;
-          case 'red':
-            textColor = '#e03e3e';
-            break;
-          case 'yellow':
-            textColor = '#dfab01';
-            break;
-          case 'default':
-          default:
-            // デフォルト値をそのまま使用
-            break;
-        }
+      // Calloutの色（テーマのカラーコードに変換）。背景色の指定がない場合はテーマのCalloutの背景色にする
+      const colorAttributes = getNotionColorAttributes(block.callout.color);
+      if (!colorAttributes[DocumentApp.Attribute.BACKGROUND_COLOR]) {
+        colorAttributes[DocumentApp.Attribute.BACKGROUND_COLOR] = getThemeValue('コールアウトの背景色');
       }
       
       // アイコンとテキストを連結したパラグラフを作成
@@ -364,14 +824,12 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
       appendRichTextToDoc(paragraph, block.callout.rich_text);
       
       // スタイル設定
-      paragraph.setAttributes({
-        [DocumentApp.Attribute.BACKGROUND_COLOR]: backgroundColor,
-        [DocumentApp.Attribute.FOREGROUND_COLOR]: textColor,
+      paragraph.setAttributes(Object.assign(colorAttributes, {
         [DocumentApp.Attribute.INDENT_START]: 20,
         [DocumentApp.Attribute.INDENT_END]: 20,
         [DocumentApp.Attribute.SPACING_BEFORE]: 10,
         [DocumentApp.Attribute.SPACING_AFTER]: 10
-      });
+      }));
       
       // 区切り線を引くことでCalloutを際立たせる
       body.appendParagraph('').setAttributes({
@@ -399,7 +857,15 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
     let textOffset = 0;
     
     richTextArray.forEach(textObj => {
-      const content = textObj.plain_text || '';
+      // インラインの数式は設定の表示方法で追加する
+      if (textObj.type === 'equation') {
+        textOffset += appendInlineEquation(paragraph, textObj, textOffset);
+        return;
+      }
+      
+      // メンションは種類ごとに表示する文字列・リンク・書式を作成する
+      const mention = textObj.type === 'mention' ? renderMention(textObj) : null;
+      const content = mention ? mention.text : (textObj.plain_text || '');
       paragraph.appendText(content);
       
       // スタイルがある場合は適用
@@ -410,8 +876,8 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
         // スタイル情報を取得
         const { bold, italic, strikethrough, underline, code, color } = textObj.annotations;
         
-        // Google Docsの属性に変換して適用
-        const attributes = {};
+        // Google Docsの属性に変換して適用（メンションは通常のテキストと区別できる書式から始める）
+        const attributes = mention ? Object.assign({}, mention.attributes) : {};
         
         if (bold) attributes[DocumentApp.Attribute.BOLD] = true;
         if (italic) attributes[DocumentApp.Attribute.ITALIC] = true;
@@ -420,14 +886,12 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
         
         // コードブロックの場合はコードスタイルを適用
         if (code) {
-          attributes[DocumentApp.Attribute.FONT_FAMILY] = 'Courier New';
-          attributes[DocumentApp.Attribute.BACKGROUND_COLOR] = '#f6f8fa';
+          attributes[DocumentApp.Attribute.FONT_FAMILY] = getThemeValue('コードのフォント');
+          attributes[DocumentApp.Attribute.BACKGROUND_COLOR] = getThemeValue('コードの背景色');
         }
         
-        // 色を設定
-        if (color && color !== 'default') {
-          attributes[DocumentApp.Attribute.FOREGROUND_COLOR] = color;
-        }
+        // 色を設定（Notionの色名をテーマのカラーコードに変換する）
+        Object.assign(attributes, getNotionColorAttributes(color));
         
         // スタイルを適用
         if (Object.keys(attributes).length > 0 && content.length > 0) {
@@ -435,8 +899,10 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
         }
         
         // リンクがある場合は設定
-        if (textObj.href && content.length > 0) {
-          textRange.setLinkUrl(textOffset, endOffset - 1, textObj.href);
+        const href = mention ? mention.url : textObj.href;
+        if (href && content.length > 0) {
+          // エクスポート済みのNotionページへのリンクはドキュメントへのリンクに置き換える
+          textRange.setLinkUrl(textOffset, endOffset - 1, resolveNotionLink(href));
         }
       }
       
@@ -446,20 +912,127 @@ function convertBlocksToGoogleDocs(blocks, pageTitle, existingDocId = null) {
   
   /**
    * リストアイテムをGoogle Docsに追加
+   * 子ブロックのリストアイテムは入れ子のレベルを1つ深くして同じリストに追加する
    * @param {Body} body - ドキュメントのボディ
-   * @param {Array} items - リストアイテムの配列
-   * @param {string} type - リストタイプ ('BULLET' or 'NUMBER')
+   * @param {Array} items - リストアイテムの配列 {text, type: 'BULLET' or 'NUMBER', id, children}
+   * @param {Object} context - 変換時の共有情報（子ブロックの処理に使用）
+   * @param {number} level - 入れ子のレベル（最上位が0）
+   * @param {ListItem} firstItem - 追加先のリストの最初のリストアイテム（新しいリストを始める場合はnull）
    */
-  function appendListItems(body, items, type) {
-    // Google Apps Scriptでは ListType は GlyphType として定義されています
-    const listType = type === 'NUMBER' 
-      ? DocumentApp.GlyphType.NUMBER 
-      : DocumentApp.GlyphType.BULLET;
-    
-    // リスト処理
+  function appendListItems(body, items, context, level = 0, firstItem = null) {
     items.forEach(item => {
       const listItem = body.appendListItem('');
       appendRichTextToDoc(listItem, item.text);
-      listItem.setGlyphType(listType);
+      
+      // 子ブロックの段落などを挟んでも番号が続くよう、同じリストのアイテムはリストIDを揃える
+      if (firstItem) {
+        listItem.setListId(firstItem);
+      } else {
+        firstItem = listItem;
+      }
+      listItem.setNestingLevel(level);
+      listItem.setGlyphType(getListGlyphType(item.type, level));
+      
+      if (context.comments) {
+        appendCommentMarkers(body, listItem, item.id, context.comments);
+      }
+      
+      appendListItemChildren(body, item.children, context, level, firstItem);
     });
+  }
+  
+  /**
+   * リストアイテムの子ブロックを追加する
+   * 子ブロックのリストアイテムは入れ子のリストに、それ以外のブロック（段落、コードなど）はリストアイテムの本文の位置にインデントして追加する
+   * @param {Body} body - ドキュメントのボディ
+   * @param {Array} children - 子ブロックの配列
+   * @param {Object} context - 変換時の共有情報
+   * @param {number} level - 親のリストアイテムの入れ子のレベル
+   * @param {ListItem} firstItem - 親のリストの最初のリストアイテム
+   */
+  function appendListItemChildren(body, children, context, level, firstItem) {
+    let index = 0;
+    
+    while (index < (children || []).length) {
+      const listType = LIST_BLOCK_TYPES[children[index].type];
+      
+      // 同じ種類のリストアイテム、またはリスト以外のブロックの連続をまとめて追加する
+      let end = index + 1;
+      while (end < children.length && LIST_BLOCK_TYPES[children[end].type] === listType) {
+        end++;
+      }
+      const group = children.slice(index, end);
+      
+      if (listType) {
+        const items = group.map(child => ({
+          text: child[child.type].rich_text || [],
+          type: listType,
+          id: child.id,
+          children: child.children || []
+        }));
+        appendListItems(body, items, context, level + 1, firstItem);
+      } else {
+        appendChildBlocks(body, group, context, (level + 1) * LIST_NESTING_INDENT);
+      }
+      
+      index = end;
+    }
+  }
+  
+  /**
+   * リストの種類と入れ子のレベルに応じた記号を取得する
+   * @param {string} type - リストタイプ ('BULLET' or 'NUMBER')
+   * @param {number} level - 入れ子のレベル（最上位が0）
+   * @return {GlyphType}
+   */
+  function getListGlyphType(type, level) {
+    const glyphTypes = LIST_GLYPH_TYPES[type] || LIST_GLYPH_TYPES.BULLET;
+    return DocumentApp.GlyphType[glyphTypes[level % glyphTypes.length]];
+  }
+  
+  /**
+   * 子ブロックを追加し、追加された要素をまとめてインデントする
+   * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+   * @param {Array} children - 子ブロックの配列
+   * @param {Object} context - 変換時の共有情報
+   * @param {number} indent - インデント幅（ポイント、省略時はCHILD_BLOCK_INDENT）
+   */
+  function appendChildBlocks(body, children, context, indent = CHILD_BLOCK_INDENT) {
+    if (!children || children.length === 0) {
+      return;
+    }
+    
+    const startIndex = body.getNumChildren();
+    appendBlocksToBody(body, children, context);
+    
+    // 追加された段落とリストアイテムをインデント（入れ子の場合は累積される）
+    for (let i = startIndex; i < body.getNumChildren(); i++) {
+      indentElement(body.getChild(i), indent);
+    }
+  }
+  
+  /**
+   * 段落・リストアイテムをインデントする
+   * 表（コードブロック、リンクカード、カラムなど）は表自体をインデントできないため、セルの中の段落をインデントする
+   * @param {Element} element - インデントする要素
+   * @param {number} indent - インデント幅（ポイント）
+   */
+  function indentElement(element, indent) {
+    const elementType = element.getType();
+    
+    if (elementType === DocumentApp.ElementType.PARAGRAPH || elementType === DocumentApp.ElementType.LIST_ITEM) {
+      element.setIndentStart((element.getIndentStart() || 0) + indent);
+      element.setIndentFirstLine((element.getIndentFirstLine() || 0) + indent);
+    } else if (elementType === DocumentApp.ElementType.TABLE) {
+      const table = element.asTable();
+      for (let row = 0; row < table.getNumRows(); row++) {
+        const tableRow = table.getRow(row);
+        for (let column = 0; column < tableRow.getNumCells(); column++) {
+          const cell = tableRow.getCell(column);
+          for (let i = 0; i < cell.getNumChildren(); i++) {
+            indentElement(cell.getChild(i), indent);
+          }
+        }
+      }
+    }
   }
\ No newline at end of file
@@ -0,0 +1,285 @@
+/**
+ * 数式の表示
+ * Notionの数式ブロック（equation）とインラインの数式を、設定の「数式の表示」で選択した方法でドキュメントに追加する
+ * 表示方法はEQUATION_RENDERERSに登録した関数で切り替えられる（画像を返す関数を登録すれば画像として挿入する）
+ */
+
+/**
+ * 数式の表示方法
+ */
+const EQUATION_DISPLAY_MODES = {
+  SOURCE: 'LaTeX',
+  UNICODE: '記号'
+};
+
+/**
+ * 数式の表示方法と変換する関数の対応
+ * 関数は (expression: LaTeXの式, isBlock: 数式ブロックかどうか) を受け取り、
+ * {text: 表示する文字列, attributes: 文字の書式} または {image: 画像のBlob} を返す
+ */
+const EQUATION_RENDERERS = {
+  [EQUATION_DISPLAY_MODES.SOURCE]: renderEquationAsSource,
+  [EQUATION_DISPLAY_MODES.UNICODE]: renderEquationAsUnicode
+};
+
+/**
+ * LaTeXのコマンドと記号の対応（記号で表示する場合に使用）
+ */
+const LATEX_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ',
+  sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠',
+  approx: '≈', equiv: '≡', sim: '∼', propto: '∝', infty: '∞', partial: '∂', nabla: '∇',
+  sum: '∑', prod: '∏', int: '∫', oint: '∮', in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', cup: '∪', cap: '∩',
+  forall: '∀', exists: '∃', neg: '¬', land: '∧', lor: '∨', emptyset: '∅',
+  to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐', leftrightarrow: '↔', Leftrightarrow: '⇔',
+  ldots: '…', cdots: '⋯', dots: '…', degree: '°', circ: '∘', prime: '′',
+  quad: ' ', qquad: '  ', ',': ' ', ';': ' ', ':': ' ', ' ': ' ', '!': '',
+  '{': '{', '}': '}', '%': '%', '$': '$', '#': '#', '&': '&', '_': '_', '\\': ' '
+};
+
+/**
+ * 引数の中身をそのまま表示するコマンド（書体の指定など）
+ */
+const LATEX_TEXT_COMMANDS = ['text', 'mathrm', 'mathbf', 'mathit', 'mathsf', 'mathtt', 'mathcal', 'mathbb', 'operatorname', 'boldsymbol'];
+
+/**
+ * 上付き文字・下付き文字に変換できる文字
+ */
+const SUPERSCRIPT_CHARS = {
+  '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹',
+  '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', 'n': 'ⁿ', 'i': 'ⁱ', 'T': 'ᵀ'
+};
+const SUBSCRIPT_CHARS = {
+  '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉',
+  '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', 'a': 'ₐ', 'e': 'ₑ', 'i': 'ᵢ', 'j': 'ⱼ', 'k': 'ₖ', 'n': 'ₙ', 'x': 'ₓ'
+};
+
+/**
+ * 数式ブロックを中央揃えの段落として追加する
+ * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+ * @param {Object} block - equation ブロック
+ */
+function appendEquationBlock(body, block) {
+  const rendered = renderEquation(block.equation.expression, true);
+  const paragraph = body.appendParagraph('');
+  paragraph.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+
+  if (rendered.image) {
+    paragraph.appendInlineImage(rendered.image);
+    return;
+  }
+
+  paragraph.appendText(rendered.text);
+  if (rendered.text) {
+    paragraph.editAsText().setAttributes(0, rendered.text.length - 1, rendered.attributes || {});
+  }
+}
+
+/**
+ * インラインの数式を段落の末尾に追加する
+ * @param {Paragraph} paragraph - 段落要素
+ * @param {Object} textObj - type が equation のリッチテキスト
+ * @param {number} textOffset - 追加する位置（段落内の文字数）
+ * @return {number} 追加した文字数（画像の場合は1）
+ */
+function appendInlineEquation(paragraph, textObj, textOffset) {
+  const rendered = renderEquation(textObj.equation.expression, false);
+
+  if (rendered.image) {
+    paragraph.appendInlineImage(rendered.image);
+    return 1;
+  }
+
+  paragraph.appendText(rendered.text);
+  if (rendered.text) {
+    paragraph.editAsText().setAttributes(textOffset, textOffset + rendered.text.length - 1, rendered.attributes || {});
+  }
+  return rendered.text.length;
+}
+
+/**
+ * 設定の表示方法で数式を変換する
+ * 変換に失敗した場合はLaTeXのまま表示する
+ * @param {string} expression - LaTeXの式
+ * @param {boolean} isBlock - 数式ブロックかどうか
+ * @return {Object} {text, attributes} または {image}
+ */
+function renderEquation(expression, isBlock) {
+  const renderer = EQUATION_RENDERERS[EQUATION_DISPLAY] || renderEquationAsSource;
+  try {
+    return renderer(expression || '', isBlock);
+  } catch (error) {
+    Logger.log(`数式の変換中にエラー: ${error.message}`);
+    return renderEquationAsSource(expression || '', isBlock);
+  }
+}
+
+/**
+ * 数式をLaTeXのまま、等幅フォントと色で区別して表示する
+ * インラインの数式は $...$ で囲む
+ * @param {string} expression - LaTeXの式
+ * @param {boolean} isBlock - 数式ブロックかどうか
+ * @return {Object} {text, attributes}
+ */
+function renderEquationAsSource(expression, isBlock) {
+  return {
+    text: isBlock ? expression : `$${expression}$`,
+    attributes: {
+      [DocumentApp.Attribute.FONT_FAMILY]: getThemeValue('コードのフォント'),
+      [DocumentApp.Attribute.FOREGROUND_COLOR]: getThemeValue('数式の文字色'),
+      [DocumentApp.Attribute.BACKGROUND_COLOR]: getThemeValue('数式の背景色')
+    }
+  };
+}
+
+/**
+ * 数式をUnicodeの記号（ギリシャ文字、演算子、上付き・下付き文字など）に変換して表示する
+ * 記号に変換できないコマンドはLaTeXのまま残す
+ * @param {string} expression - LaTeXの式
+ * @param {boolean} isBlock - 数式ブロックかどうか
+ * @return {Object} {text, attributes}
+ */
+function renderEquationAsUnicode(expression, isBlock) {
+  return {
+    text: convertLatexToUnicode(expression).replace(/\s+/g, ' ').trim(),
+    attributes: {
+      [DocumentApp.Attribute.FONT_FAMILY]: getThemeValue('数式のフォント'),
+      [DocumentApp.Attribute.ITALIC]: !isBlock
+    }
+  };
+}
+
+/**
+ * LaTeXの式をUnicodeの記号を使った文字列に変換する
+ * @param {string} expression - LaTeXの式
+ * @return {string}
+ */
+function convertLatexToUnicode(expression) {
+  let result = '';
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+
+    if (char === '\\') {
+      const command = readLatexCommand(expression, index);
+      index = command.next;
+
+      if (command.name === 'frac' || command.name === 'dfrac' || command.name === 'tfrac') {
+        const numerator = readLatexArgument(expression, index);
+        const denominator = readLatexArgument(expression, numerator.next);
+        result += `${wrapLatexGroup(convertLatexToUnicode(numerator.text))}/${wrapLatexGroup(convertLatexToUnicode(denominator.text))}`;
+        index = denominator.next;
+      } else if (command.name === 'sqrt') {
+        // 累乗根の指数（\sqrt[n]{x}）は省略する
+        if (expression[index] === '[') {
+          index = expression.indexOf(']', index) + 1 || expression.length;
+        }
+        const radicand = readLatexArgument(expression, index);
+        result += `√${wrapLatexGroup(convertLatexToUnicode(radicand.text))}`;
+        index = radicand.next;
+      } else if (LATEX_TEXT_COMMANDS.includes(command.name)) {
+        const argument = readLatexArgument(expression, index);
+        result += convertLatexToUnicode(argument.text);
+        index = argument.next;
+      } else if (command.name === 'left' || command.name === 'right') {
+        // 括弧の大きさの指定は無視する（括弧はそのまま表示する）
+        continue;
+      } else if (command.name in LATEX_SYMBOLS) {
+        result += LATEX_SYMBOLS[command.name];
+      } else {
+        result += `\\${command.name}`;
+      }
+    } else if (char === '^' || char === '_') {
+      const argument = readLatexArgument(expression, index + 1);
+      result += convertLatexScript(convertLatexToUnicode(argument.text), char === '^' ? SUPERSCRIPT_CHARS : SUBSCRIPT_CHARS, char);
+      index = argument.next;
+    } else if (char === '{') {
+      const group = readLatexArgument(expression, index);
+      result += convertLatexToUnicode(group.text);
+      index = group.next;
+    } else {
+      result += char === '}' ? '' : char;
+      index++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * \ で始まるコマンド名を読み取る
+ * @param {string} expression - LaTeXの式
+ * @param {number} index - \ の位置
+ * @return {Object} {name: コマンド名, next: 次の位置}
+ */
+function readLatexCommand(expression, index) {
+  const match = expression.substring(index + 1).match(/^[a-zA-Z]+/);
+  if (match) {
+    return { name: match[0], next: index + 1 + match[0].length };
+  }
+  // \, や \{ のような1文字のコマンド
+  return { name: expression.charAt(index + 1), next: index + 2 };
+}
+
+/**
+ * コマンドの引数（{...} または1文字・1コマンド）を読み取る
+ * @param {string} expression - LaTeXの式
+ * @param {number} index - 引数の開始位置
+ * @return {Object} {text: 引数の中身, next: 次の位置}
+ */
+function readLatexArgument(expression, index) {
+  while (expression[index] === ' ') {
+    index++;
+  }
+
+  if (expression[index] === '{') {
+    let depth = 0;
+    for (let i = index; i < expression.length; i++) {
+      if (expression[i] === '{') {
+        depth++;
+      } else if (expression[i] === '}') {
+        depth--;
+        if (depth === 0) {
+          return { text: expression.substring(index + 1, i), next: i + 1 };
+        }
+      }
+    }
+    return { text: expression.substring(index + 1), next: expression.length };
+  }
+
+  if (expression[index] === '\\') {
+    const command = readLatexCommand(expression, index);
+    return { text: expression.substring(index, command.next), next: command.next };
+  }
+
+  return { text: expression.charAt(index), next: index + 1 };
+}
+
+/**
+ * 上付き・下付きの文字列を変換する
+ * すべての文字を上付き・下付き文字にできない場合は ^(...) / _(...) の形式にする
+ * @param {string} text - 上付き・下付きにする文字列
+ * @param {Object} chars - 文字 -> 上付き・下付き文字
+ * @param {string} marker - ^ または _
+ * @return {string}
+ */
+function convertLatexScript(text, chars, marker) {
+  const characters = Array.from(text);
+  if (characters.length > 0 && characters.every(char => char in chars)) {
+    return characters.map(char => chars[char]).join('');
+  }
+  return `${marker}${wrapLatexGroup(text)}`;
+}
+
+/**
+ * 2文字以上の項を括弧で囲む（分数や根号の中身を区別するため）
+ * @param {string} text - 変換後の文字列
+ * @return {string}
+ */
+function wrapLatexGroup(text) {
+  return Array.from(text.trim()).length > 1 ? `(${text.trim()})` : text.trim();
+}
@@ -0,0 +1,257 @@
+/**
+ * ブックマーク・埋め込み・リンクプレビューのカード表示
+ * URLのページからタイトル・説明・サイト名を取得し、枠で囲んだカードとしてドキュメントに追加する（配色はテーマで指定する）
+ * 取得したメタデータはDriveのファイルに保存し、差分・バッチのエクスポートで同じURLを取得し直さないようにする
+ */
+
+/**
+ * カードの先頭に付けるアイコン（ブロックタイプごと）
+ */
+const LINK_CARD_ICONS = {
+  bookmark: '🔖',
+  embed: '🧩',
+  link_preview: '🔗'
+};
+
+/**
+ * メタデータを取得する際に読み込むHTMLの最大文字数（headの中だけを対象にする）
+ */
+const LINK_METADATA_MAX_HTML_LENGTH = 100000;
+
+/**
+ * 保存したメタデータを使用する日数（過ぎたものは取得し直す）
+ */
+const LINK_METADATA_MAX_AGE_DAYS = 30;
+
+/**
+ * 取得に失敗したURLを取得し直すまでの時間（一時的なエラーの場合に、次回の実行で取得し直せるよう短くする）
+ */
+const LINK_METADATA_FAILURE_MAX_AGE_HOURS = 1;
+
+/**
+ * メタデータを保存するファイルのIDのプロパティキーと、ファイル名（スプレッドシートと同じフォルダに作成する）
+ */
+const LINK_METADATA_FILE_ID_KEY = 'LINK_METADATA_FILE_ID';
+const LINK_METADATA_FILE_NAME = 'NotionExport_LinkMetadata.json';
+
+// URL -> {title, description, siteName, fetchedAt, failed}（ファイルから読み込んだもの。読み込む前はnull）
+let linkMetadataCache = null;
+// 読み込んだ後にメタデータを取得したかどうか（保存が必要か）
+let linkMetadataChanged = false;
+
+/**
+ * ブックマーク・埋め込み・リンクプレビューのブロックをカードとして追加する
+ * カードにはタイトル（リンク付き）、説明、サイト名とURL、キャプションを表示する
+ * @param {Body} body - ドキュメントのbody（または子要素を追加できるコンテナ）
+ * @param {Object} block - bookmark / embed / link_preview ブロック
+ */
+function appendLinkCard(body, block) {
+  const value = block[block.type] || {};
+  const url = value.url || '';
+  if (!url) {
+    body.appendParagraph(`[${block.type} - URLがありません]`).setItalic(true);
+    return;
+  }
+
+  const metadata = fetchLinkMetadata(url);
+  const table = body.appendTable([['']]);
+  table.setBorderColor(getThemeValue('リンクカードの枠線の色'));
+  const cell = table.getCell(0, 0);
+  cell.setBackgroundColor(getThemeValue('リンクカードの背景色'));
+
+  // タイトル（メタデータがない場合はURL）
+  const icon = `${LINK_CARD_ICONS[block.type] || LINK_CARD_ICONS.link_preview} `;
+  const title = metadata.title || url;
+  const titleParagraph = cell.getChild(0).asParagraph();
+  titleParagraph.appendText(icon + title);
+  titleParagraph.editAsText()
+    .setBold(icon.length, icon.length + title.length - 1, true)
+    .setLinkUrl(icon.length, icon.length + title.length - 1, url);
+
+  if (metadata.description) {
+    cell.appendParagraph(metadata.description)
+      .setFontSize(9)
+      .setForegroundColor(getThemeValue('リンクカードの説明の文字色'));
+  }
+
+  // サイト名（埋め込みの場合はサービス名）とURL
+  const provider = metadata.siteName || getUrlHostName(url);
+  const sourceText = provider ? `${provider} · ${url}` : url;
+  const sourceParagraph = cell.appendParagraph(sourceText);
+  sourceParagraph.setFontSize(9).setForegroundColor(getThemeValue('リンクカードのURLの文字色'));
+  sourceParagraph.editAsText().setLinkUrl(sourceText.length - url.length, sourceText.length - 1, url);
+
+  if (value.caption && value.caption.length > 0) {
+    const captionParagraph = cell.appendParagraph('');
+    appendRichTextToDoc(captionParagraph, value.caption);
+    captionParagraph.setItalic(true);
+  }
+}
+
+/**
+ * リンクのメンション（link_mention）を表示する文字列を作成する
+ * @param {Object} linkMention - {href, title, link_provider, ...}
+ * @return {string} 「サービス名: タイトル」（タイトルがない場合はURL）
+ */
+function formatLinkMention(linkMention) {
+  const title = linkMention.title || linkMention.href || '';
+  return linkMention.link_provider ? `${linkMention.link_provider}: ${title}` : title;
+}
+
+/**
+ * URLのページのメタデータ（タイトル、説明、サイト名）を取得する
+ * 保存したメタデータが LINK_METADATA_MAX_AGE_DAYS 日以内のものであれば、URLを取得せずにそれを使用する
+ * 取得に失敗した場合は LINK_METADATA_FAILURE_MAX_AGE_HOURS 時間だけ保存し、その後は取得し直す
+ * 取得できない場合（HTML以外、ログインが必要なページなど）は空の値を返す
+ * @param {string} url - ページのURL
+ * @return {Object} {title, description, siteName}
+ */
+function fetchLinkMetadata(url) {
+  const cache = getLinkMetadataCache();
+  if (cache[url] && !isLinkMetadataExpired(cache[url])) {
+    return cache[url];
+  }
+
+  let metadata = { title: '', description: '', siteName: '', failed: true };
+  try {
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true, followRedirects: true });
+    const headers = response.getHeaders();
+    const contentTypeKey = Object.keys(headers).find(key => key.toLowerCase() === 'content-type');
+    const contentType = contentTypeKey ? String(headers[contentTypeKey]) : '';
+
+    if (response.getResponseCode() === 200 && /html/i.test(contentType)) {
+      metadata = parseLinkMetadata(response.getContentText().substring(0, LINK_METADATA_MAX_HTML_LENGTH));
+    } else {
+      Logger.log(`リンク先のメタデータを取得できませんでした: ${url} (HTTP ${response.getResponseCode()})`);
+    }
+  } catch (error) {
+    Logger.log(`リンク先のメタデータの取得中にエラー: ${url}: ${error.message}`);
+  }
+
+  metadata.fetchedAt = new Date().toISOString();
+  cache[url] = metadata;
+  linkMetadataChanged = true;
+  return metadata;
+}
+
+/**
+ * 保存したメタデータ（URL -> メタデータ）を読み込む
+ * @return {Object}
+ */
+function getLinkMetadataCache() {
+  if (!linkMetadataCache) {
+    try {
+      linkMetadataCache = readJsonStorageFile(LINK_METADATA_FILE_ID_KEY) || {};
+    } catch (error) {
+      Logger.log(`保存したリンク先のメタデータを読み込めませんでした: ${error.message}`);
+      linkMetadataCache = {};
+    }
+  }
+  return linkMetadataCache;
+}
+
+/**
+ * この実行で取得したメタデータをファイルに保存する（古くなったものは削除する）
+ * 保存に失敗しても次回に取得し直すだけのため、エラーはログに出力するだけにする
+ */
+function saveLinkMetadataCache() {
+  if (!linkMetadataChanged) {
+    return;
+  }
+
+  const cache = getLinkMetadataCache();
+  for (const url of Object.keys(cache)) {
+    if (isLinkMetadataExpired(cache[url])) {
+      delete cache[url];
+    }
+  }
+
+  try {
+    writeJsonStorageFile(LINK_METADATA_FILE_ID_KEY, LINK_METADATA_FILE_NAME, cache);
+    linkMetadataChanged = false;
+  } catch (error) {
+    Logger.log(`リンク先のメタデータを保存できませんでした: ${error.message}`);
+  }
+}
+
+/**
+ * 保存したメタデータが古くなったかどうか
+ * @param {Object} metadata - {fetchedAt, failed, ...}
+ * @return {boolean}
+ */
+function isLinkMetadataExpired(metadata) {
+  const fetchedAt = metadata.fetchedAt ? new Date(metadata.fetchedAt).getTime() : 0;
+  const maxAge = metadata.failed
+    ? LINK_METADATA_FAILURE_MAX_AGE_HOURS * 60 * 60 * 1000
+    : LINK_METADATA_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return Date.now() - fetchedAt > maxAge;
+}
+
+/**
+ * HTMLのmetaタグ（Open Graph、Twitterカード、description）とtitleタグからメタデータを取り出す
+ * @param {string} html - ページのHTML
+ * @return {Object} {title, description, siteName}
+ */
+function parseLinkMetadata(html) {
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd >= 0 ? html.substring(0, headEnd) : html;
+
+  const metaValues = {};
+  const metaTags = head.match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of metaTags) {
+    const key = getHtmlAttribute(tag, 'property') || getHtmlAttribute(tag, 'name');
+    const content = getHtmlAttribute(tag, 'content');
+    if (key && content && !(key.toLowerCase() in metaValues)) {
+      metaValues[key.toLowerCase()] = decodeHtmlEntities(content).trim();
+    }
+  }
+
+  const titleMatch = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const pageTitle = titleMatch ? decodeHtmlEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  return {
+    title: metaValues['og:title'] || metaValues['twitter:title'] || pageTitle,
+    description: metaValues['og:description'] || metaValues['twitter:description'] || metaValues['description'] || '',
+    siteName: metaValues['og:site_name'] || metaValues['application-name'] || ''
+  };
+}
+
+/**
+ * HTMLタグから属性の値を取得する
+ * @param {string} tag - HTMLタグ（例: <meta property="og:title" content="...">）
+ * @param {string} name - 属性名
+ * @return {string} 属性の値（ない場合はnull）
+ */
+function getHtmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) {
+    return null;
+  }
+  return match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+}
+
+/**
+ * HTMLの文字参照を文字に戻す
+ * @param {string} text - HTMLのテキスト
+ * @return {string}
+ */
+function decodeHtmlEntities(text) {
+  const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+      return codePoint ? String.fromCodePoint(codePoint) : match;
+    }
+    return namedEntities[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * URLのホスト名を取得する（先頭の www. は除く）
+ * @param {string} url - URL
+ * @return {string}
+ */
+function getUrlHostName(url) {
+  const match = String(url).match(/^[a-z][a-z0-9+.-]*:\/\/([^/?#:]+)/i);
+  return match ? match[1].replace(/^www\./i, '') : '';
+}
@@ -0,0 +1,299 @@
+/**
+ * Notionページ間のリンクの書き換え
+ * エクスポート済みのページへのリンク（メンション、link_to_page、notion.soのURL）をGoogle Docsへのリンクに置き換える
+ * まだエクスポートされていないページへのリンクは記録しておき、後の実行で書き換える
+ */
+
+/**
+ * リンクの書き換え用のプロパティキー
+ * ページIDとドキュメントの対応は差分エクスポートの処理済みページ情報（DIFF_PROPS.PROCESSED_PAGES）を共有する
+ * リンクの記録はドキュメントの数に応じて大きくなるため、スクリプトプロパティの容量を圧迫しないようDriveのファイルに保存する
+ */
+const LINK_PROPS = {
+  LINK_REFERENCES_FILE_ID: 'LINK_REFERENCES_FILE_ID',
+  // 以前のバージョンでスクリプトプロパティに保存していたリンクの記録（読み込んだ後に削除する）
+  LEGACY_LINK_REFERENCES: 'LINK_REFERENCES'
+};
+
+/**
+ * リンクの記録を保存するファイル名（スプレッドシートと同じフォルダに作成する）
+ */
+const LINK_REFERENCES_FILE_NAME = 'NotionExport_LinkReferences.json';
+
+/**
+ * NotionのページURLとみなすホスト
+ */
+const NOTION_URL_PATTERN = /^https?:\/\/([\w-]+\.)?notion\.(so|site)\//;
+
+// ページID -> {lastModified, docId, title}（実行中に読み込んだ処理済みページ情報）
+let pageDocMap = null;
+// ドキュメントID -> {リンク先のページID: リンクに使用したドキュメントID（未エクスポートの場合は空文字）}
+let linkReferences = null;
+// 変換中のドキュメントのリンク先（変換中でない場合はnull）
+let currentDocLinks = null;
+
+/**
+ * 処理済みページ情報（ページID -> {lastModified, docId, title}）を取得する
+ * 実行中は読み込んだオブジェクトを共有し、savePageDocMap で保存する
+ * @return {Object}
+ */
+function getPageDocMap() {
+  if (!pageDocMap) {
+    const properties = PropertiesService.getScriptProperties();
+    try {
+      pageDocMap = JSON.parse(getLargeProperty(properties, DIFF_PROPS.PROCESSED_PAGES) || '{}');
+    } catch (e) {
+      Logger.log('処理済みページ情報の解析に失敗しました: ' + e.message);
+      pageDocMap = {};
+    }
+  }
+  return pageDocMap;
+}
+
+/**
+ * リンクの記録（ドキュメントID -> リンク先）を取得する
+ * @return {Object}
+ */
+function getLinkReferences() {
+  if (!linkReferences) {
+    const properties = PropertiesService.getScriptProperties();
+    try {
+      linkReferences = readJsonStorageFile(LINK_PROPS.LINK_REFERENCES_FILE_ID) ||
+        JSON.parse(getLargeProperty(properties, LINK_PROPS.LEGACY_LINK_REFERENCES) || '{}');
+    } catch (e) {
+      Logger.log('リンクの記録の解析に失敗しました: ' + e.message);
+      linkReferences = {};
+    }
+  }
+  return linkReferences;
+}
+
+/**
+ * 処理済みページ情報とリンクの記録を保存する
+ */
+function savePageDocMap() {
+  const properties = PropertiesService.getScriptProperties();
+  if (pageDocMap) {
+    setLargeProperty(properties, DIFF_PROPS.PROCESSED_PAGES, JSON.stringify(pageDocMap));
+  }
+  if (linkReferences) {
+    saveLinkReferences(properties);
+  }
+}
+
+/**
+ * リンクの記録をDriveのファイルに保存する（ファイルがない場合は作成する）
+ * @param {Properties} properties - スクリプトプロパティ
+ */
+function saveLinkReferences(properties) {
+  writeJsonStorageFile(LINK_PROPS.LINK_REFERENCES_FILE_ID, LINK_REFERENCES_FILE_NAME, linkReferences);
+
+  // 以前のバージョンでスクリプトプロパティに保存していた記録は、ファイルに移したので削除する
+  deleteLargeProperty(properties, LINK_PROPS.LEGACY_LINK_REFERENCES);
+}
+
+/**
+ * ページをエクスポートしたドキュメントのIDを取得する
+ * 再エクスポートの際に新しいドキュメントを作らず、既存のドキュメントを更新・移動するために使用する
+ * @param {string} pageId - NotionページID
+ * @return {string|null} ドキュメントのファイルID（未エクスポートの場合はnull）
+ */
+function getExportedDocId(pageId) {
+  const entry = getPageDocMap()[pageId];
+  return entry && entry.docId ? entry.docId : null;
+}
+
+/**
+ * エクスポートしたページのドキュメントを処理済みページ情報に記録する
+ * @param {Object} page - Notionページオブジェクト
+ * @param {string} docId - ドキュメントのファイルID
+ * @param {string} pageTitle - ページタイトル
+ */
+function recordPageDoc(page, docId, pageTitle) {
+  getPageDocMap()[page.id] = {
+    lastModified: page.last_edited_time || new Date().toISOString(),
+    docId: docId,
+    title: pageTitle
+  };
+}
+
+/**
+ * ドキュメントの変換を始める前に、リンク先の記録を開始する
+ */
+function beginDocLinkTracking() {
+  currentDocLinks = {};
+}
+
+/**
+ * ドキュメントの変換が終わった後に、リンク先をドキュメントIDに対応付けて記録する
+ * @param {string} docId - ドキュメントのファイルID
+ */
+function finishDocLinkTracking(docId) {
+  const references = getLinkReferences();
+  if (currentDocLinks && Object.keys(currentDocLinks).length > 0) {
+    references[docId] = currentDocLinks;
+  } else {
+    delete references[docId];
+  }
+  currentDocLinks = null;
+}
+
+/**
+ * NotionページへのリンクをエクスポートしたドキュメントのURLに置き換える
+ * Notionページ以外へのリンクや、まだエクスポートされていないページへのリンクはそのまま返す
+ * @param {string} url - リンク先のURL
+ * @return {string} 置き換え後のURL
+ */
+function resolveNotionLink(url) {
+  const pageId = extractNotionPageId(url);
+  if (!pageId) {
+    return url;
+  }
+
+  const entry = getPageDocMap()[pageId];
+  if (currentDocLinks) {
+    currentDocLinks[pageId] = entry ? entry.docId : '';
+  }
+  return entry ? getDocUrl(entry.docId) : url;
+}
+
+/**
+ * NotionのURLからページIDを取り出す
+ * @param {string} url - URL（例: https://www.notion.so/workspace/Title-0123456789abcdef0123456789abcdef?pvs=4）
+ * @return {string} ハイフン区切りのページID（NotionのURLでない場合はnull）
+ */
+function extractNotionPageId(url) {
+  if (!url) {
+    return null;
+  }
+
+  // 相対URL（メンションのhrefなど）は notion.so のURLとして扱う
+  const absoluteUrl = url.startsWith('/') ? `https://www.notion.so${url}` : url;
+  if (!NOTION_URL_PATTERN.test(absoluteUrl)) {
+    return null;
+  }
+
+  // クエリとアンカー（ブロックへのリンク）を除いたパスの最後の部分の末尾のIDを使用する（例: Title-<ID>）
+  const lastSegment = absoluteUrl.split(/[?#]/)[0].replace(/\/+$/, '').split('/').pop().replace(/-/g, '');
+  const match = lastSegment.match(/[0-9a-f]{32}$/i);
+  return match ? formatNotionId(match[0]) : null;
+}
+
+/**
+ * 32桁のIDをNotion APIの形式（8-4-4-4-12のハイフン区切り）にする
+ * @param {string} id - ハイフンなしのID
+ * @return {string}
+ */
+function formatNotionId(id) {
+  const hex = id.replace(/-/g, '').toLowerCase();
+  return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+}
+
+/**
+ * ドキュメントのURLを作成する
+ * @param {string} docId - ドキュメントのファイルID
+ * @return {string}
+ */
+function getDocUrl(docId) {
+  return `https://docs.google.com/document/d/${docId}/edit`;
+}
+
+/**
+ * 記録したリンクのうち、リンク先のドキュメントが変わったものを書き換える
+ * 前回までにエクスポートされていなかったページや、再作成されたドキュメントへのリンクが対象
+ * 処理済みページ情報とリンクの記録はこの関数の最後に保存する
+ */
+function fixDocLinks() {
+  const docMap = getPageDocMap();
+  const references = getLinkReferences();
+  let fixedDocCount = 0;
+
+  for (const docId of Object.keys(references)) {
+    const links = references[docId];
+
+    // リンク先のドキュメントが記録と異なるものを探す
+    const replacements = {};
+    for (const pageId of Object.keys(links)) {
+      const entry = docMap[pageId];
+      if (entry && entry.docId !== links[pageId]) {
+        replacements[pageId] = entry.docId;
+      }
+    }
+    if (Object.keys(replacements).length === 0) {
+      continue;
+    }
+
+    try {
+      if (DriveApp.getFileById(docId).isTrashed()) {
+        delete references[docId];
+        continue;
+      }
+
+      const doc = DocumentApp.openById(docId);
+      rewriteLinksInElement(doc.getBody(), links, replacements);
+      doc.saveAndClose();
+
+      Object.assign(links, replacements);
+      fixedDocCount++;
+    } catch (error) {
+      // ドキュメントが削除された場合など
+      Logger.log(`ドキュメント ${docId} のリンクを書き換えられませんでした: ${error.message}`);
+      delete references[docId];
+    }
+  }
+
+  if (fixedDocCount > 0) {
+    Logger.log(`${fixedDocCount}件のドキュメントのリンクを書き換えました`);
+  }
+
+  try {
+    savePageDocMap();
+  } catch (error) {
+    // 保存に失敗しても以前の処理済みページ情報は残るため、エクスポートの結果には影響させない
+    Logger.log(`処理済みページ情報とリンクの記録を保存できませんでした: ${error.message}`);
+  }
+}
+
+/**
+ * 要素の中のリンクを再帰的に書き換える
+ * @param {Element} element - ドキュメントの要素
+ * @param {Object} links - このドキュメントのリンク先（ページID -> リンクに使用したドキュメントID）
+ * @param {Object} replacements - ページID -> 新しいドキュメントID
+ */
+function rewriteLinksInElement(element, links, replacements) {
+  if (element.getType() === DocumentApp.ElementType.TEXT) {
+    const text = element.asText();
+    const indices = text.getTextAttributeIndices();
+
+    indices.forEach((start, i) => {
+      const url = text.getLinkUrl(start);
+      const pageId = url ? findLinkedPageId(url, links) : null;
+      if (pageId && replacements[pageId]) {
+        const end = (i + 1 < indices.length ? indices[i + 1] : text.getText().length) - 1;
+        text.setLinkUrl(start, end, getDocUrl(replacements[pageId]));
+      }
+    });
+    return;
+  }
+
+  if (element.getNumChildren) {
+    for (let i = 0; i < element.getNumChildren(); i++) {
+      rewriteLinksInElement(element.getChild(i), links, replacements);
+    }
+  }
+}
+
+/**
+ * リンクのURLがどのページへのリンクかを調べる
+ * NotionのURLと、以前のエクスポートで使用したドキュメントのURLの両方に対応する
+ * @param {string} url - リンクのURL
+ * @param {Object} links - ページID -> リンクに使用したドキュメントID
+ * @return {string} ページID（該当しない場合はnull）
+ */
+function findLinkedPageId(url, links) {
+  const notionPageId = extractNotionPageId(url);
+  if (notionPageId) {
+    return notionPageId in links ? notionPageId : null;
+  }
+  return Object.keys(links).find(pageId => links[pageId] && url.indexOf(links[pageId]) !== -1) || null;
+}
@@ -13,6 +13,40 @@ const NOTION_API_KEY = PropertiesService.getScriptProperties().getProperty('NOTI
 // 設定シートから情報を読み込み
 let DATABASE_ID = '';
 let DRIVE_FOLDER_ID = '';
+// エクスポート元の種類（データベース / ルートページ）とルートページID
+let SOURCE_TYPE = 'データベース';
+let ROOT_PAGE_ID = '';
+// 子ブロックを取得する最大階層（設定シートで変更可能）
+let MAX_BLOCK_DEPTH = 10;
+// データベースクエリのフィルタと並び順（設定シートの【フィルタ】【並び順】から作成）
+let DATABASE_FILTER = null;
+let DATABASE_SORTS = [];
+// エクスポート対象（ソースと保存先フォルダの組み合わせ）の一覧
+let EXPORT_MAPPINGS = [];
+// エクスポート対象の保存先としてDRIVE_FOLDER_IDの下に作成するフォルダ名の配列
+let SOURCE_FOLDER_PATH = [];
+// ドキュメントのタイトル下にプロパティ表を表示するかどうかと、表示するプロパティ名（空の場合はすべて）
+let SHOW_PROPERTY_TABLE = true;
+let DISPLAY_PROPERTIES = [];
+// ページのプロパティに応じて保存先フォルダを振り分けるルール（例: {Category}、{作成日時:yyyy}/{作成日時:MM}）
+let FOLDER_ROUTING = '';
+// ドキュメントのファイル名のテンプレート（空の場合はページタイトル）と最大文字数
+let FILE_NAME_TEMPLATE = '';
+let FILE_NAME_MAX_LENGTH = 100;
+// Notionのコメントをエクスポートするかどうかと、出力方法（脚注 / Docsのコメント）
+let EXPORT_COMMENTS = false;
+let COMMENT_EXPORT_MODE = '脚注';
+// データベースのエクスポート対象をシートにも出力するかどうか
+let MIRROR_DATABASE_TO_SHEET = true;
+// トグル（開閉できる見出しを含む）の中身の表示方法（展開 / 表 / 折りたたみ）
+let TOGGLE_DISPLAY = '展開';
+// 数式の表示方法（LaTeX / 記号）
+let EQUATION_DISPLAY = 'LaTeX';
+// 【テーマ】セクションで上書きした配色とフォント（テーマの項目名 -> 値）
+let THEME_SETTINGS = {};
+// 日付のメンションを表示するロケールとタイムゾーン（空の場合はNotionで指定したタイムゾーン、なければスクリプトのタイムゾーン）
+let MENTION_DATE_LOCALE = 'ja-JP';
+let MENTION_TIME_ZONE = '';
 
 /**
  * スプレッドシートが開かれたときに実行される関数
@@ -24,6 +58,7 @@ function onOpen() {
     .addItem('API Keyを設定', 'setApiKey')
     .addItem('必要なサービスを確認', 'checkRequiredServices')
     .addItem('設定シートを初期化', 'initSettingsSheet')
+    .addItem('ワークスペースのページ一覧を作成', 'createWorkspaceSheet')
     .addSeparator()
     .addItem('全ページをエクスポート', 'exportNotionToGoogleDrive')
     .addItem('バッチ処理でエクスポート（大量データ用）', 'startBatchExport')
@@ -57,79 +92,49 @@ function exportNotionToGoogleDrive() {
   // 処理結果を格納する配列
   const results = [];
   
-  // Notionデータベースからページのリストを取得
-  const pages = getNotionDatabasePages(DATABASE_ID);
+  // すべてのエクスポート対象からページのリストを取得
+  const sources = getPagesForAllMappings();
+  results.push(...sources.failures);
   
-  if (!pages || pages.length === 0) {
-    showAlert('データが見つかりません', 'データベースからページが見つかりませんでした。データベースIDを確認してください。');
+  const totalPages = sources.targets.reduce((sum, target) => sum + target.pages.length, 0);
+  
+  if (totalPages === 0) {
+    if (sources.failures.length > 0) {
+      recordResultsToSpreadsheet(results);
+      showAlert('ページ一覧の取得に失敗しました', 
+                `Notionからエクスポート対象のページを取得できませんでした。\n${sources.failures.map(r => `${r.mappingName}: ${r.message}`).join('\n')}`);
+    } else {
+      showAlert('データが見つかりません', 'エクスポート対象のページが見つかりませんでした。設定シートのIDを確認してください。');
+    }
     return;
   }
   
   // 進捗状況表示用のインジケータを作成
   try {
     const ui = SpreadsheetApp.getUi();
-    const totalPages = pages.length;
     showAlert('処理を開始します', `${totalPages}ページをエクスポートします。処理中はスプレッドシートを閉じないでください。`);
   } catch (e) {
     Logger.log('UIが利用できないため、進捗表示はスキップします');
   }
   
-  Logger.log(`${pages.length}ページをエクスポートします...`);
+  Logger.log(`${totalPages}ページをエクスポートします...`);
   
-  // 各ページを処理
-  for (const page of pages) {
-    try {
-      // ページタイトルを取得（通常はNameやTitleプロパティに格納されています）
-      const pageTitle = getPageTitle(page);
-      
-      // 処理結果オブジェクトを初期化
-      const result = {
-        pageId: page.id,
-        pageTitle: pageTitle,
-        status: 'Processing',
-        message: '',
-        timestamp: new Date().toISOString()
-      };
-      
-      try {
-        // ページのブロック（コンテンツ）を取得
-        const blocks = getPageBlocks(page.id);
-        
-        // ブロックからGoogle Docsを直接生成して保存
-        const saveResult = convertBlocksToGoogleDocs(blocks, pageTitle);
-        
-        if (saveResult.success) {
-          result.status = 'Success';
-          result.message = saveResult.message;
-          result.fileId = saveResult.fileId;
-        } else {
-          result.status = 'Fail';
-          result.message = saveResult.message;
-        }
-      } catch (error) {
-        result.status = 'Fail';
-        result.message = `エラー: ${error.message}`;
-      }
-      
-      // 結果を配列に追加
-      results.push(result);
-      
-      // ログに出力
-      Logger.log(`ページ "${pageTitle}": ${result.status} - ${result.message}`);
-    } catch (error) {
-      // ページタイトル取得時のエラー処理
-      results.push({
-        pageId: page.id,
-        pageTitle: `Unknown (ID: ${page.id})`,
-        status: 'Fail',
-        message: `ページ情報の取得中にエラーが発生: ${error.message}`,
-        timestamp: new Date().toISOString()
-      });
-      
-      Logger.log(`ページID ${page.id} の処理中にエラーが発生しました: ${error.message}`);
+  // エクスポート対象ごとに各ページを処理
+  for (const target of sources.targets) {
+    applyExportMapping(target.mapping);
+    Logger.log(`エクスポート対象「${target.mapping.name}」: ${target.pages.length}ページ`);
+    
+    for (const page of target.pages) {
+      results.push(exportPageToFolder(page, target.mapping));
     }
   }
   
+  // データベースをシートに出力（エクスポートしたドキュメントへのリンク付き）
+  mirrorDatabaseTargets(sources.targets, getDocIdsFromResults(results));
+  
+  // 後からエクスポートされたページへのリンクを書き換える
+  fixDocLinks();
+  
   // 全体の処理結果をログに出力
   const successCount = results.filter(r => r.status === 'Success').length;
   const failCount = results.filter(r => r.status === 'Fail').length;
@@ -138,6 +143,7 @@ function exportNotionToGoogleDrive() {
   Logger.log(`処理総数: ${results.length}`);
   Logger.log(`成功: ${successCount}`);
   Logger.log(`失敗: ${failCount}`);
+  Logger.log(summarizeResultsByMapping(results));
   Logger.log('=================================');
   
   // 詳細ログ出力
@@ -156,7 +162,7 @@ function exportNotionToGoogleDrive() {
   try {
     showAlert(
       'エクスポート完了',
-      `処理総数: ${results.length}\n成功: ${successCount}\n失敗: ${failCount}\n\n詳細は「エクスポート結果」シートをご確認ください。`
+      `処理総数: ${results.length}\n成功: ${successCount}\n失敗: ${failCount}${summarizeResultsByMapping(results)}\n\n詳細は「エクスポート結果」シートをご確認ください。`
     );
     
     // 結果シートをアクティブにする
@@ -172,6 +178,70 @@ function exportNotionToGoogleDrive() {
   return results;
 }
 
+/**
+ * 1ページをGoogle Docsとしてエクスポートする
+ * @param {Object} page - Notionページオブジェクト
+ * @param {Object} mapping - ページが属するエクスポート対象（適用済みであること）
+ * @return {Object} 処理結果オブジェクト
+ */
+function exportPageToFolder(page, mapping) {
+  try {
+    // ページタイトルを取得（通常はNameやTitleプロパティに格納されています）
+    const pageTitle = getPageTitle(page);
+    
+    // 処理結果オブジェクトを初期化
+    const result = {
+      pageId: page.id,
+      pageTitle: pageTitle,
+      status: 'Processing',
+      message: '',
+      mappingName: mapping.name,
+      timestamp: new Date().toISOString()
+    };
+    
+    try {
+      // ページのブロック（コンテンツ）を取得
+      const blocks = getPageBlocks(page.id);
+      
+      // ブロックからGoogle Docsを生成して保存（エクスポート済みのページは既存のドキュメントを更新）
+      const saveResult = convertBlocksToGoogleDocs(blocks, pageTitle, getExportedDocId(page.id), { folderId: getPageFolderId(page), page: page });
+      
+      if (saveResult.success) {
+        result.status = 'Success';
+        result.message = saveResult.message;
+        result.fileId = saveResult.fileId;
+        
+        // ページ間のリンクの書き換えに使用するため、ドキュメントを記録
+        recordPageDoc(page, saveResult.fileId, pageTitle);
+      } else {
+        result.status = 'Fail';
+        result.message = saveResult.message;
+      }
+    } catch (error) {
+      result.status = 'Fail';
+      result.message = `エラー: ${error.message}`;
+      result.errorType = getErrorTypeLabel(error);
+    }
+    
+    // ログに出力
+    Logger.log(`ページ "${pageTitle}": ${result.status} - ${result.message}`);
+    return result;
+  } catch (error) {
+    // ページタイトル取得時のエラー処理
+    Logger.log(`ページID ${page.id} の処理中にエラーが発生しました: ${error.message}`);
+    
+    return {
+      pageId: page.id,
+      pageTitle: `Unknown (ID: ${page.id})`,
+      status: 'Fail',
+      message: `ページ情報の取得中にエラーが発生: ${error.message}`,
+      errorType: getErrorTypeLabel(error),
+      mappingName: mapping.name,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
 /**
  * デバッグ用：NotionデータベースのFirstアイテムだけを処理する
  */
@@ -188,10 +258,16 @@ function exportFirstNotionItem() {
   }
   
   // Notionデータベースからページのリストを取得
-  const pages = getNotionDatabasePages(DATABASE_ID);
+  let pages;
+  try {
+    pages = getSourcePages();
+  } catch (error) {
+    showAlert('ページ一覧の取得に失敗しました', `Notionからエクスポート対象のページを取得できませんでした。\n${describeError(error)}`);
+    return;
+  }
   
   if (!pages || pages.length === 0) {
-    showAlert('データが見つかりません', 'データベースからページが見つかりませんでした。データベースIDを確認してください。');
+    showAlert('データが見つかりません', 'エクスポート対象のページが見つかりませんでした。設定シートのIDを確認してください。');
     return;
   }
   
@@ -202,6 +278,7 @@ function exportFirstNotionItem() {
     pageTitle: '',
     status: 'Processing',
     message: '',
+    mappingName: EXPORT_MAPPINGS[0].name,
     timestamp: new Date().toISOString()
   };
   
@@ -216,8 +293,8 @@ function exportFirstNotionItem() {
     const blocks = getPageBlocks(page.id);
     Logger.log(`ブロック数: ${blocks.length}`);
     
-    // ブロックからGoogle Docsを直接生成
-    const saveResult = convertBlocksToGoogleDocs(blocks, pageTitle);
+    // ブロックからGoogle Docsを生成（エクスポート済みのページは既存のドキュメントを更新し、ファイル名が変わっていれば変更）
+    const saveResult = convertBlocksToGoogleDocs(blocks, pageTitle, getExportedDocId(page.id), { folderId: getPageFolderId(page), page: page });
     
     if (saveResult.success) {
       result.status = 'Success';
@@ -239,6 +316,7 @@ function exportFirstNotionItem() {
   } catch (error) {
     result.status = 'Fail';
     result.message = `エラー: ${error.message}`;
+    result.errorType = getErrorTypeLabel(error);
     Logger.log(`処理中にエラーが発生: ${error.message}`);
     Logger.log(`エラータイプ: ${error.name}`);
     Logger.log(`エラースタック: ${error.stack}`);
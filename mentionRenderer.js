@@ -0,0 +1,143 @@
+/**
+ * メンション（ユーザー・日付・ページ・データベースなど）の表示
+ * Notionの plain_text の代わりに、メンションの種類ごとに表示する文字列・リンク・書式を作成する
+ */
+
+/**
+ * メンションの種類ごとに表示する文字列とリンクを作成する関数
+ * 関数は mention の値とリッチテキストのオブジェクトを受け取り、{text, url} を返す
+ */
+const MENTION_RENDERERS = {
+  user: renderUserMention,
+  date: renderDateMention,
+  page: (value, textObj) => renderPageMention('📄', value, textObj),
+  database: (value, textObj) => renderPageMention('🗃', value, textObj),
+  link_mention: (value, textObj) => ({ text: formatLinkMention(value), url: value.href || textObj.href }),
+  link_preview: (value, textObj) => ({ text: textObj.plain_text || value.url, url: value.url || textObj.href })
+};
+
+/**
+ * 日付のロケールの既定値
+ */
+const DEFAULT_MENTION_DATE_LOCALE = 'ja-JP';
+
+/**
+ * リッチテキストのメンションを表示する文字列・リンク・書式に変換する
+ * 対応していない種類（テンプレートのメンションなど）は plain_text をそのまま表示する
+ * @param {Object} textObj - type が mention のリッチテキストのオブジェクト
+ * @return {Object} {text, url: リンク先（ない場合はnull）, attributes: DocumentApp.Attribute -> 値}
+ */
+function renderMention(textObj) {
+  const mention = textObj.mention || {};
+  const renderer = MENTION_RENDERERS[mention.type];
+  const attributes = {
+    [DocumentApp.Attribute.FOREGROUND_COLOR]: getThemeValue('メンションの文字色'),
+    [DocumentApp.Attribute.BACKGROUND_COLOR]: getThemeValue('メンションの背景色')
+  };
+
+  if (!renderer) {
+    return { text: textObj.plain_text || '', url: textObj.href || null, attributes: attributes };
+  }
+
+  const rendered = renderer(mention[mention.type] || {}, textObj);
+  return { text: rendered.text || textObj.plain_text || '', url: rendered.url || null, attributes: attributes };
+}
+
+/**
+ * ユーザーのメンションを「@名前」にし、メールアドレスを取得できた場合は mailto のリンクを付ける
+ * @param {Object} user - Notionのユーザーオブジェクト（部分ユーザーオブジェクトの場合はAPIで取得する）
+ * @param {Object} textObj - リッチテキストのオブジェクト
+ * @return {Object} {text, url}
+ */
+function renderUserMention(user, textObj) {
+  // ボットにはメールアドレスがないため、取得しない
+  const fullUser = user.type === 'bot' || (user.person && user.person.email) ? user : (getNotionUser(user) || user);
+  const name = fullUser.name || String(textObj.plain_text || '').replace(/^@/, '') || getNotionUserName(user);
+  const email = fullUser.person && fullUser.person.email;
+
+  return { text: `@${name}`, url: email ? `mailto:${email}` : null };
+}
+
+/**
+ * 日付のメンションを、設定のロケールとタイムゾーンで「@日付」にする
+ * 期間の場合は「開始 → 終了」、時刻を含む場合はタイムゾーン名を付ける
+ * @param {Object} date - {start, end, time_zone}
+ * @return {Object} {text, url}
+ */
+function renderDateMention(date) {
+  if (!date.start) {
+    return { text: '', url: null };
+  }
+
+  const text = date.end
+    ? `${formatMentionDate(date.start, date.time_zone)} → ${formatMentionDate(date.end, date.time_zone)}`
+    : formatMentionDate(date.start, date.time_zone);
+  return { text: `@${text}`, url: null };
+}
+
+/**
+ * ページ・データベースのメンションを「アイコン タイトル」にする
+ * リンク先はエクスポート済みのドキュメントに置き換えられるよう、NotionのURLのまま返す
+ * @param {string} icon - タイトルの前に付けるアイコン
+ * @param {Object} value - {id}
+ * @param {Object} textObj - リッチテキストのオブジェクト
+ * @return {Object} {text, url}
+ */
+function renderPageMention(icon, value, textObj) {
+  const title = textObj.plain_text || 'Untitled';
+  const url = textObj.href || (value.id ? `https://www.notion.so/${value.id.replace(/-/g, '')}` : null);
+  return { text: `${icon} ${title}`, url: url };
+}
+
+/**
+ * 日付・日時の文字列を設定のロケールとタイムゾーンで整形する
+ * タイムゾーンは「メンションのタイムゾーン」、Notionで指定したタイムゾーン、スクリプトのタイムゾーンの順に使用する
+ * @param {string} value - ISO 8601 形式の日付（YYYY-MM-DD）または日時
+ * @param {string} notionTimeZone - Notionで指定したタイムゾーン（ない場合はnull）
+ * @return {string} 例: "2024年3月15日", "2024年3月15日 10:00 JST"
+ */
+function formatMentionDate(value, notionTimeZone) {
+  // 時刻を含まない日付はタイムゾーンの変換をしない
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Intl.DateTimeFormat(MENTION_DATE_LOCALE, {
+      year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+    }).format(new Date(`${value}T00:00:00Z`));
+  }
+
+  return new Intl.DateTimeFormat(MENTION_DATE_LOCALE, {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+    timeZoneName: 'short',
+    timeZone: MENTION_TIME_ZONE || notionTimeZone || Session.getScriptTimeZone()
+  }).format(new Date(value));
+}
+
+/**
+ * 設定シートのロケールを検証する
+ * @param {string} locale - ロケール（例: ja-JP, en-US）
+ * @return {string} 使用できるロケール（空欄や使用できない場合は既定値）
+ */
+function normalizeMentionDateLocale(locale) {
+  try {
+    return locale && Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0 ? locale : DEFAULT_MENTION_DATE_LOCALE;
+  } catch (e) {
+    return DEFAULT_MENTION_DATE_LOCALE;
+  }
+}
+
+/**
+ * 設定シートのタイムゾーンを検証する
+ * @param {string} timeZone - IANAのタイムゾーン名（例: Asia/Tokyo）
+ * @return {string} 使用できるタイムゾーン（空欄や使用できない場合は空文字）
+ */
+function normalizeMentionTimeZone(timeZone) {
+  if (!timeZone) {
+    return '';
+  }
+  try {
+    new Intl.DateTimeFormat(DEFAULT_MENTION_DATE_LOCALE, { timeZone: timeZone });
+    return timeZone;
+  } catch (e) {
+    Logger.log(`メンションのタイムゾーン「${timeZone}」は使用できません。`);
+    return '';
+  }
+}
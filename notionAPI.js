@@ -1,74 +1,336 @@
+/**
+ * 子ブロックを辿らないブロックタイプ
+ * （子ページや子データベースは別のページとして扱う）
+ */
+const BLOCK_TYPES_WITHOUT_CHILD_FETCH = ['child_page', 'child_database'];
+
+// ユーザーID -> ユーザーオブジェクト（同じ実行の中で同じユーザーを何度も取得しないため。取得できなかった場合はnull）
+const notionUserCache = {};
+
+// 同期ブロックの元のブロックID -> 子ブロックのツリー（同じ実行の中で同じ同期元を何度も取得しないため）
+const syncedBlockCache = {};
+
 /**
  * Notionデータベースからページのリストを取得
+ * has_moreがfalseになるまでカーソルを辿り、全ページを取得する
  * @param {string} databaseId - NotionデータベースID
+ * @param {Object} query - {filter, sorts}（省略時は設定シートのフィルタと並び順）
  * @return {Array} ページの配列
+ * @throws {NotionApiError} APIリクエストが失敗した場合
  */
-function getNotionDatabasePages(databaseId) {
+function getNotionDatabasePages(databaseId, query = null) {
     try {
-      // データベースクエリのエンドポイント
-      const url = `https://api.notion.com/v1/databases/${databaseId}/query`;
-      
-      // APIリクエストのオプション
-      const options = {
-        method: 'post',
-        headers: {
-          'Authorization': `Bearer ${NOTION_API_KEY}`,
-          'Notion-Version': '2022-06-28', // 現在のAPI版数に合わせて更新してください
-          'Content-Type': 'application/json'
-        },
-        // 必要に応じてフィルタやソートを追加できます
-        payload: JSON.stringify({
-          page_size: 100 // 一度に取得するページ数を調整
-        })
-      };
+      const pages = [];
+      let cursor = null;
       
-      // APIリクエストを実行
-      const response = UrlFetchApp.fetch(url, options);
-      const responseData = JSON.parse(response.getContentText());
+      do {
+        const queryResult = queryNotionDatabase(databaseId, cursor, query);
+        pages.push(...queryResult.results);
+        cursor = queryResult.hasMore ? queryResult.nextCursor : null;
+      } while (cursor);
       
-      return responseData.results;
+      Logger.log(`データベースから${pages.length}ページを取得しました`);
+      return pages;
     } catch (error) {
       Logger.log(`データベースからページの取得中にエラーが発生しました: ${error.message}`);
       Logger.log(`エラータイプ: ${error.name}`);
       Logger.log(`エラースタック: ${error.stack}`);
-      return [];
+      throw error;
     }
   }
   
+  /**
+   * Notionデータベースを1ページ分（最大100件）クエリする
+   * @param {string} databaseId - NotionデータベースID
+   * @param {string} startCursor - 前回のクエリで返されたnext_cursor（初回はnull）
+   * @param {Object} query - {filter, sorts}（省略時は設定シートのフィルタと並び順）
+   * @return {Object} {results: Array, hasMore: boolean, nextCursor: string} 形式の結果
+   */
+  function queryNotionDatabase(databaseId, startCursor = null, query = null) {
+    const payload = {
+      page_size: 100 // 一度に取得するページ数（APIの上限は100）
+    };
+    
+    // フィルタと並び順を適用（指定がなければ設定シートの値）
+    const databaseQuery = query || { filter: DATABASE_FILTER, sorts: DATABASE_SORTS };
+    if (databaseQuery.filter) {
+      payload.filter = databaseQuery.filter;
+    }
+    if (databaseQuery.sorts && databaseQuery.sorts.length > 0) {
+      payload.sorts = databaseQuery.sorts;
+    }
+    if (startCursor) {
+      payload.start_cursor = startCursor;
+    }
+    
+    // データベースクエリのエンドポイントにリクエストを実行
+    const responseData = notionRequest('post', `/databases/${databaseId}/query`, payload);
+    
+    return {
+      results: responseData.results || [],
+      hasMore: responseData.has_more === true,
+      nextCursor: responseData.next_cursor || null
+    };
+  }
+  
   /**
    * Notionページからブロック（コンテンツ）を取得
+   * 子ブロックを持つブロックは再帰的に取得し、各ブロックのchildrenに格納する
    * @param {string} pageId - NotionページID
-   * @return {Array} ブロックの配列
+   * @param {number} maxDepth - 取得する最大階層（省略時は設定シートの値）
+   * @return {Array} ブロックの配列（ツリー構造）
+   * @throws {NotionApiError} APIリクエストが失敗した場合
    */
-  function getPageBlocks(pageId) {
+  function getPageBlocks(pageId, maxDepth = MAX_BLOCK_DEPTH) {
     try {
-      const url = `https://api.notion.com/v1/blocks/${pageId}/children`;
-      
-      const options = {
-        method: 'get',
-        headers: {
-          'Authorization': `Bearer ${NOTION_API_KEY}`,
-          'Notion-Version': '2022-06-28'
-        }
-      };
-      
-      const response = UrlFetchApp.fetch(url, options);
-      const responseData = JSON.parse(response.getContentText());
+      const blocks = getBlockTree(pageId, maxDepth);
       
       // デバッグ情報を追加
-      Logger.log(`ブロック総数: ${responseData.results.length}`);
-      if (responseData.results.length > 0) {
-        Logger.log(`最初のブロックタイプ: ${responseData.results[0].type}`);
+      Logger.log(`ブロック総数（最上位）: ${blocks.length}`);
+      if (blocks.length > 0) {
+        Logger.log(`最初のブロックタイプ: ${blocks[0].type}`);
       }
       
-      return responseData.results;
+      return blocks;
     } catch (error) {
       Logger.log(`ページブロックの取得中にエラーが発生しました: ${error.message}`);
       Logger.log(`エラースタック: ${error.stack}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * ブロックの子ブロックを再帰的に取得してツリーを構築する
+   * @param {string} blockId - 親ブロック（またはページ）のID
+   * @param {number} maxDepth - 取得する最大階層
+   * @param {number} depth - 現在の階層（最上位が1）
+   * @return {Array} 子ブロックの配列（子孫はchildrenに格納）
+   */
+  function getBlockTree(blockId, maxDepth, depth = 1) {
+    const blocks = getBlockChildren(blockId);
+    
+    for (const block of blocks) {
+      // 同期ブロックの複製は、同期元のブロックの子ブロックを表示する
+      const isSyncedCopy = block.type === 'synced_block' && block.synced_block && block.synced_block.synced_from;
+      
+      if ((!block.has_children && !isSyncedCopy) || BLOCK_TYPES_WITHOUT_CHILD_FETCH.includes(block.type)) {
+        continue;
+      }
+      
+      if (depth >= maxDepth) {
+        Logger.log(`最大階層(${maxDepth})に達したため、ブロック ${block.id} (${block.type}) の子ブロックは取得しません`);
+        continue;
+      }
+      
+      if (isSyncedCopy) {
+        block.children = getSyncedBlockChildren(block, maxDepth, depth);
+        continue;
+      }
+      
+      block.children = getBlockTree(block.id, maxDepth, depth + 1);
+      
+      // 同期元のブロックは、同じ実行の中の複製から参照できるようにしておく
+      if (block.type === 'synced_block') {
+        syncedBlockCache[block.id] = block.children;
+      }
+    }
+    
+    return blocks;
+  }
+  
+  /**
+   * 同期ブロックの複製について、同期元のブロックの子ブロックを取得
+   * 同じ同期元は実行中にキャッシュし、同期元にアクセスできない場合は syncedSourceUnavailable を設定する
+   * @param {Object} block - 同期ブロック（synced_from を持つ複製）
+   * @param {number} maxDepth - 取得する最大階層
+   * @param {number} depth - 複製のブロックの階層
+   * @return {Array} 子ブロックの配列（ツリー構造）
+   */
+  function getSyncedBlockChildren(block, maxDepth, depth) {
+    const sourceBlockId = block.synced_block.synced_from.block_id;
+    
+    if (syncedBlockCache[sourceBlockId]) {
+      return syncedBlockCache[sourceBlockId];
+    }
+    
+    try {
+      const children = getBlockTree(sourceBlockId, maxDepth, depth + 1);
+      syncedBlockCache[sourceBlockId] = children;
+      return children;
+    } catch (error) {
+      // 同期元のページが統合に共有されていない場合など
+      Logger.log(`同期ブロック ${block.id} の同期元 ${sourceBlockId} を取得できませんでした: ${describeError(error)}`);
+      block.syncedSourceUnavailable = true;
       return [];
     }
   }
   
+  /**
+   * ブロックの直下の子ブロックをすべて取得（ページネーション対応）
+   * @param {string} blockId - 親ブロック（またはページ）のID
+   * @return {Array} 子ブロックの配列
+   */
+  function getBlockChildren(blockId) {
+    const blocks = [];
+    let cursor = null;
+    
+    do {
+      let path = `/blocks/${blockId}/children?page_size=100`;
+      if (cursor) {
+        path += `&start_cursor=${encodeURIComponent(cursor)}`;
+      }
+      
+      const responseData = notionRequest('get', path);
+      
+      blocks.push(...(responseData.results || []));
+      cursor = responseData.has_more ? responseData.next_cursor : null;
+    } while (cursor);
+    
+    return blocks;
+  }
+  
+  /**
+   * ブロックまたはページに付いているコメントを取得
+   * has_moreがfalseになるまでカーソルを辿り、全件を取得する
+   * @param {string} blockId - ブロックID（ページIDを指定するとページへのコメント）
+   * @return {Array} コメントの配列（古い順）
+   * @throws {NotionApiError} APIリクエストが失敗した場合
+   */
+  function getComments(blockId) {
+    const comments = [];
+    let cursor = null;
+    
+    do {
+      let path = `/comments?block_id=${blockId}&page_size=100`;
+      if (cursor) {
+        path += `&start_cursor=${encodeURIComponent(cursor)}`;
+      }
+      
+      const responseData = notionRequest('get', path);
+      comments.push(...(responseData.results || []));
+      cursor = responseData.has_more ? responseData.next_cursor : null;
+    } while (cursor);
+    
+    return comments;
+  }
+  
+  /**
+   * ページのプロパティの値を1件ずつ取得（プロパティ項目のエンドポイント）
+   * ページオブジェクトでは25件までしか含まれないリレーションや、途中までしか集計されないロールアップの完全な値を取得する
+   * has_moreがfalseになるまでカーソルを辿り、全件を取得する
+   * @param {string} pageId - NotionページID
+   * @param {string} propertyId - プロパティID（property.id）
+   * @return {Object} {results: プロパティ項目の配列, propertyItem: 集計結果を含むプロパティ情報（ページ分割されない場合はnull）}
+   * @throws {NotionApiError} APIリクエストが失敗した場合
+   */
+  function getPagePropertyItems(pageId, propertyId) {
+    const results = [];
+    let propertyItem = null;
+    let cursor = null;
+    
+    do {
+      let path = `/pages/${pageId}/properties/${encodeURIComponent(propertyId)}?page_size=100`;
+      if (cursor) {
+        path += `&start_cursor=${encodeURIComponent(cursor)}`;
+      }
+      
+      const responseData = notionRequest('get', path);
+      if (responseData.object !== 'list') {
+        // ページ分割されないプロパティ（数値、選択など）は値がそのまま返る
+        return { results: [responseData], propertyItem: null };
+      }
+      results.push(...(responseData.results || []));
+      propertyItem = responseData.property_item || propertyItem;
+      cursor = responseData.has_more ? responseData.next_cursor : null;
+    } while (cursor);
+    
+    return { results: results, propertyItem: propertyItem };
+  }
+
+  /**
+   * Notionユーザーの表示名を取得
+   * 取得できない場合（統合にユーザー情報の読み取り権限がない場合など）はユーザーIDの先頭を使用する
+   * @param {Object} user - Notionの部分ユーザーオブジェクト {id, name?}
+   * @return {string} 表示名
+   */
+  function getNotionUserName(user) {
+    if (!user) {
+      return '';
+    }
+    if (user.name) {
+      return user.name;
+    }
+    
+    return getPersonName(getNotionUser(user)) || `User_${user.id.replace(/-/g, '').substring(0, 8)}`;
+  }
+  
+  /**
+   * Notionユーザーの情報（名前、メールアドレスなど）を取得
+   * 部分ユーザーオブジェクト {id} から、APIでユーザーオブジェクト全体を取得する
+   * @param {Object} user - Notionの部分ユーザーオブジェクト {id}
+   * @return {Object} ユーザーオブジェクト（取得できない場合はnull）
+   */
+  function getNotionUser(user) {
+    if (!user || !user.id) {
+      return null;
+    }
+    if (user.id in notionUserCache) {
+      return notionUserCache[user.id];
+    }
+    
+    let fullUser = null;
+    try {
+      fullUser = notionRequest('get', `/users/${user.id}`);
+    } catch (error) {
+      Logger.log(`ユーザー ${user.id} の情報を取得できませんでした: ${describeError(error)}`);
+    }
+    
+    notionUserCache[user.id] = fullUser;
+    return fullUser;
+  }
+  
+  /**
+   * 統合に共有されているページとデータベースをすべて検索する
+   * has_moreがfalseになるまでカーソルを辿り、全件を取得する
+   * @param {string} objectType - 'page' または 'database'（省略時は両方）
+   * @return {Array} ページ・データベースオブジェクトの配列
+   * @throws {NotionApiError} APIリクエストが失敗した場合
+   */
+  function searchNotionWorkspace(objectType = null) {
+    const results = [];
+    let cursor = null;
+    
+    do {
+      const payload = {
+        page_size: 100, // 一度に取得する件数（APIの上限は100）
+        sort: { direction: 'descending', timestamp: 'last_edited_time' }
+      };
+      if (objectType) {
+        payload.filter = { property: 'object', value: objectType };
+      }
+      if (cursor) {
+        payload.start_cursor = cursor;
+      }
+      
+      const responseData = notionRequest('post', '/search', payload);
+      results.push(...(responseData.results || []));
+      cursor = responseData.has_more ? responseData.next_cursor : null;
+    } while (cursor);
+    
+    Logger.log(`ワークスペースから${results.length}件のページ・データベースを取得しました`);
+    return results;
+  }
+  
+  /**
+   * Notionデータベースのタイトルを取得
+   * @param {Object} database - Notionデータベースオブジェクト
+   * @return {string} データベースのタイトル
+   */
+  function getDatabaseTitle(database) {
+    const title = (database.title || []).map(textObj => textObj.plain_text).join('');
+    return title || `Database_${database.id.replace(/-/g, '').substring(0, 8)}`;
+  }
+  
   /**
    * NotionページからページタイトルまたはName/Titleプロパティを取得
    * @param {Object} page - Notionページオブジェクト
@@ -0,0 +1,247 @@
+/**
+ * Notion APIへのHTTPリクエストの共通処理
+ * 認証ヘッダー、APIバージョン、レート制限、リトライ、エラーの分類をまとめて扱う
+ */
+
+/**
+ * Notion APIのベースURL
+ */
+const NOTION_API_BASE_URL = 'https://api.notion.com/v1';
+
+/**
+ * 使用するNotion APIのバージョン
+ */
+const NOTION_API_VERSION = '2022-06-28';
+
+/**
+ * リクエスト間の最小間隔（ミリ秒）
+ * Notion APIの平均レート制限（1秒あたり約3リクエスト）に合わせる
+ */
+const NOTION_MIN_REQUEST_INTERVAL_MS = 350;
+
+/**
+ * 一時的なエラーに対する最大リトライ回数
+ */
+const NOTION_MAX_RETRIES = 5;
+
+/**
+ * 指数バックオフの基準時間と上限（ミリ秒）
+ */
+const NOTION_BACKOFF_BASE_MS = 1000;
+const NOTION_BACKOFF_MAX_MS = 30000;
+
+// 直前のリクエストの送信時刻（スロットリング用）
+let lastNotionRequestAt = 0;
+
+/**
+ * Notion APIのエラー
+ * ステータスコードとNotionのエラーコードを保持する
+ */
+class NotionApiError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {number} status - HTTPステータスコード（通信エラーの場合は0）
+   * @param {string} code - Notionのエラーコード（例: object_not_found）
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'NotionApiError';
+    this.status = status;
+    this.code = code || '';
+    this.errorType = 'APIエラー';
+  }
+
+  /**
+   * 時間をおいて再試行すれば成功する可能性があるかどうか
+   * @return {boolean}
+   */
+  isTransient() {
+    return this.status === 0 || isRetryableNotionStatus(this.status);
+  }
+}
+
+/**
+ * 認証・権限のエラー（APIキーが無効、または統合が共有されていない）
+ */
+class NotionAuthError extends NotionApiError {
+  constructor(message, status, code) {
+    super(message, status, code);
+    this.name = 'NotionAuthError';
+    this.errorType = '認証エラー';
+  }
+}
+
+/**
+ * 対象のページ・データベース・ブロックが見つからないエラー
+ */
+class NotionNotFoundError extends NotionApiError {
+  constructor(message, status, code) {
+    super(message, status, code);
+    this.name = 'NotionNotFoundError';
+    this.errorType = '見つかりません';
+  }
+}
+
+/**
+ * リトライしてもレート制限が解除されなかったエラー
+ */
+class NotionRateLimitError extends NotionApiError {
+  constructor(message, status, code) {
+    super(message, status, code);
+    this.name = 'NotionRateLimitError';
+    this.errorType = 'レート制限';
+  }
+}
+
+/**
+ * リクエスト内容が不正なエラー（IDの形式やフィルタの指定ミスなど）
+ */
+class NotionValidationError extends NotionApiError {
+  constructor(message, status, code) {
+    super(message, status, code);
+    this.name = 'NotionValidationError';
+    this.errorType = 'リクエスト不正';
+  }
+}
+
+/**
+ * Notion APIにリクエストを送信する
+ * 429と5xxは Retry-After または指数バックオフ（ジッター付き）で待機してリトライする
+ * @param {string} method - HTTPメソッド（'get', 'post', 'patch'など）
+ * @param {string} path - エンドポイントのパス（例: '/databases/xxx/query'）
+ * @param {Object} payload - リクエストボディ（省略可）
+ * @return {Object} レスポンスのJSON
+ * @throws {NotionApiError} リクエストが失敗した場合
+ */
+function notionRequest(method, path, payload = null) {
+  const url = `${NOTION_API_BASE_URL}${path}`;
+
+  const options = {
+    method: method,
+    headers: {
+      'Authorization': `Bearer ${NOTION_API_KEY}`,
+      'Notion-Version': NOTION_API_VERSION
+    },
+    muteHttpExceptions: true
+  };
+
+  if (payload) {
+    options.contentType = 'application/json';
+    options.payload = JSON.stringify(payload);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    throttleNotionRequests();
+
+    let response;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (error) {
+      // ネットワークエラーなどでレスポンス自体が得られなかった場合
+      if (attempt < NOTION_MAX_RETRIES) {
+        const waitMs = getNotionBackoffMs(attempt);
+        Logger.log(`Notion APIへの接続に失敗しました（${error.message}）。${waitMs}ms後にリトライします（${attempt + 1}/${NOTION_MAX_RETRIES}）`);
+        Utilities.sleep(waitMs);
+        continue;
+      }
+      throw new NotionApiError(`Notion APIへの接続に失敗しました: ${error.message}`, 0, 'network_error');
+    }
+
+    const status = response.getResponseCode();
+    if (status >= 200 && status < 300) {
+      return JSON.parse(response.getContentText());
+    }
+
+    if (isRetryableNotionStatus(status) && attempt < NOTION_MAX_RETRIES) {
+      const retryAfter = parseInt(response.getHeaders()['Retry-After'] || response.getHeaders()['retry-after'] || '0');
+      const waitMs = status === 429 && retryAfter > 0 ? retryAfter * 1000 : getNotionBackoffMs(attempt);
+      Logger.log(`Notion APIがHTTP ${status}を返しました（${method.toUpperCase()} ${path}）。${waitMs}ms後にリトライします（${attempt + 1}/${NOTION_MAX_RETRIES}）`);
+      Utilities.sleep(waitMs);
+      continue;
+    }
+
+    throw createNotionApiError(status, response.getContentText());
+  }
+}
+
+/**
+ * リクエストの間隔が最小間隔を下回らないように待機する
+ */
+function throttleNotionRequests() {
+  const waitMs = lastNotionRequestAt + NOTION_MIN_REQUEST_INTERVAL_MS - Date.now();
+  if (waitMs > 0) {
+    Utilities.sleep(waitMs);
+  }
+  lastNotionRequestAt = Date.now();
+}
+
+/**
+ * 指数バックオフの待機時間を計算する（フルジッター）
+ * @param {number} attempt - 何回目のリトライか（0から）
+ * @return {number} 待機時間（ミリ秒）
+ */
+function getNotionBackoffMs(attempt) {
+  const maxWaitMs = Math.min(NOTION_BACKOFF_MAX_MS, NOTION_BACKOFF_BASE_MS * Math.pow(2, attempt));
+  return Math.round(maxWaitMs / 2 + Math.random() * maxWaitMs / 2);
+}
+
+/**
+ * リトライ対象のHTTPステータスかどうか
+ * @param {number} status - HTTPステータスコード
+ * @return {boolean}
+ */
+function isRetryableNotionStatus(status) {
+  return status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * HTTPステータスとレスポンスボディから種類別のエラーを作成する
+ * @param {number} status - HTTPステータスコード
+ * @param {string} responseText - レスポンスボディ
+ * @return {NotionApiError} エラーオブジェクト
+ */
+function createNotionApiError(status, responseText) {
+  let code = '';
+  let message = `HTTP ${status}`;
+
+  try {
+    const errorData = JSON.parse(responseText);
+    code = errorData.code || '';
+    message = errorData.message || message;
+  } catch (e) {
+    // JSONでないレスポンスの場合はステータスコードのみを使用
+  }
+
+  if (status === 401 || status === 403) {
+    return new NotionAuthError(message, status, code);
+  }
+  if (status === 404) {
+    return new NotionNotFoundError(message, status, code);
+  }
+  if (status === 429) {
+    return new NotionRateLimitError(message, status, code);
+  }
+  if (status === 400) {
+    return new NotionValidationError(message, status, code);
+  }
+  return new NotionApiError(message, status, code);
+}
+
+/**
+ * エラーの種類を結果シート向けのラベルとして取得する
+ * @param {Error} error - エラーオブジェクト
+ * @return {string} エラー種別（Notion API以外のエラーは空文字）
+ */
+function getErrorTypeLabel(error) {
+  return error instanceof NotionApiError ? error.errorType : '';
+}
+
+/**
+ * エラーを種類付きのメッセージに整形する
+ * @param {Error} error - エラーオブジェクト
+ * @return {string} 例: "[認証エラー] API token is invalid."
+ */
+function describeError(error) {
+  const errorType = getErrorTypeLabel(error);
+  return errorType ? `[${errorType}] ${error.message}` : error.message;
+}
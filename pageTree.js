@@ -0,0 +1,254 @@
+/**
+ * エクスポート対象ページの列挙
+ * データベースモードではデータベースのページを、ルートページモードではページ階層全体を対象にする
+ */
+
+/**
+ * ソースの種類
+ */
+const SOURCE_TYPES = {
+  DATABASE: 'データベース',
+  ROOT_PAGE: 'ルートページ',
+  WORKSPACE: 'ワークスペース'
+};
+
+/**
+ * フォルダの振り分けで、プロパティの値が空のページを配置するフォルダ名
+ */
+const ROUTING_EMPTY_FOLDER_NAME = '未分類';
+
+/**
+ * ページ階層を辿るときに、子ページを探すために中を見ないブロックタイプ
+ * （子ページ・子データベースの中は別のページとして辿り、表の中に子ページは置けない）
+ */
+const BLOCK_TYPES_WITHOUT_CHILD_PAGES = ['child_page', 'child_database', 'table'];
+
+/**
+ * 現在の設定でエクスポート対象となるページの一覧を取得する
+ * ルートページモードの場合、各ページには保存先フォルダ名の配列（folderPath: DRIVE_FOLDER_ID から）が追加される
+ * ページのブロックは変換するときに取得する
+ * @return {Array} Notionページオブジェクトの配列
+ * @throws {NotionApiError} APIリクエストが失敗した場合
+ */
+function getSourcePages() {
+  if (SOURCE_TYPE === SOURCE_TYPES.ROOT_PAGE) {
+    return collectPageTree(ROOT_PAGE_ID);
+  }
+  return getNotionDatabasePages(DATABASE_ID);
+}
+
+/**
+ * ルートページから子ページ・子データベースを再帰的に辿り、ページの一覧を作成する
+ * ルートページはDRIVE_FOLDER_ID直下に、子ページは親ページ名のフォルダに配置される
+ * @param {string} rootPageId - ルートページのID
+ * @return {Array} folderPathを持つNotionページオブジェクトの配列
+ * @throws {NotionApiError} ルートページを取得できなかった場合や、再試行しても一時的なエラーが続いた場合
+ */
+function collectPageTree(rootPageId) {
+  const pages = [];
+  const walk = startPageTreeWalk(rootPageId);
+
+  while (walk.pending.length > 0) {
+    pages.push(...stepPageTreeWalk(walk));
+  }
+
+  Logger.log(`ページ階層から${pages.length}ページを取得しました`);
+  return pages;
+}
+
+/**
+ * ページ階層を辿る処理の状態を作成する
+ * 辿る途中の状態（pending）はJSONにして保存できるため、バッチ処理では複数回の実行に分けて辿ることができる
+ * @param {string} rootPageId - ルートページのID
+ * @param {Object} visitedIds - 一覧に追加済みのページID（続きから辿る場合）
+ * @return {Object} {pending: これから辿る項目の配列（末尾から処理する）, visitedIds}
+ */
+function startPageTreeWalk(rootPageId, visitedIds = {}) {
+  return {
+    pending: [{ type: 'page', id: rootPageId, folderPath: [], root: true }],
+    visitedIds: visitedIds
+  };
+}
+
+/**
+ * ページ階層を辿る処理を1項目分進める
+ * 項目の種類は次のとおり
+ *   page: ページを取得して一覧に追加する（child_page ブロックとルートページ）
+ *   database: 子データベースのページを最大100件取得して一覧に追加する（続きがある場合はカーソルを持つ項目を戻す）
+ *   children: ページの中の子ページ・子データベースを探す
+ * @param {Object} walk - startPageTreeWalk で作成した状態
+ * @return {Array} この項目で一覧に追加したページ（folderPathを持つNotionページオブジェクト）の配列
+ * @throws {NotionApiError} ルートページを取得できなかった場合や一時的なエラーの場合（項目は pending に戻す）
+ */
+function stepPageTreeWalk(walk) {
+  const item = walk.pending.pop();
+  const found = [];
+  const next = [];
+
+  // ページを一覧に追加し、その中の子ページ・子データベースを探す項目を追加する
+  const addPage = (page, folderPath) => {
+    if (walk.visitedIds[page.id]) {
+      return;
+    }
+    walk.visitedIds[page.id] = true;
+    page.folderPath = folderPath;
+    found.push(page);
+
+    // 子ページは「親ページ名」のフォルダに配置する
+    next.push({ type: 'children', id: page.id, folderPath: folderPath.concat([getPageTitle(page)]) });
+  };
+
+  try {
+    if (item.type === 'page') {
+      if (!walk.visitedIds[item.id]) {
+        addPage(getNotionPageById(item.id), item.folderPath);
+      }
+    } else if (item.type === 'database') {
+      const queryResult = queryNotionDatabase(item.id, item.cursor || null, {});
+      if (queryResult.hasMore) {
+        walk.pending.push(Object.assign({}, item, { cursor: queryResult.nextCursor }));
+      }
+      queryResult.results.forEach(page => addPage(page, item.folderPath));
+    } else if (item.type === 'children') {
+      for (const block of findChildPageBlocks(item.id)) {
+        if (block.type === 'child_page') {
+          next.push({ type: 'page', id: block.id, folderPath: item.folderPath });
+        } else {
+          // 子データベースのページは「親ページ名/データベース名」のフォルダに配置する
+          const databaseTitle = block.child_database.title || `Database_${block.id.replace(/-/g, '').substring(0, 8)}`;
+          next.push({ type: 'database', id: block.id, folderPath: item.folderPath.concat([databaseTitle]) });
+        }
+      }
+    }
+  } catch (error) {
+    // ルートページと一時的なエラー（レート制限・サーバーエラーなど）の場合は、項目を戻して呼び出し元で再試行できるようにする
+    if (item.root || (error instanceof NotionApiError && error.isTransient())) {
+      walk.pending.push(item);
+      throw error;
+    }
+    // リンクドデータベースなど統合からアクセスできない子要素はスキップして続行
+    Logger.log(`子要素 ${item.id} (${item.type}) を取得できませんでした: ${describeError(error)}`);
+  }
+
+  // ページの並び順に辿るよう、逆順に積む
+  walk.pending.push(...next.reverse());
+  return found;
+}
+
+/**
+ * ページ（またはブロック）の中から子ページ・子データベースのブロックを探す
+ * トグルやカラムの中に配置されたものも含めるため子ブロックを辿るが、ブロックの内容は保持しない
+ * @param {string} blockId - ページまたはブロックのID
+ * @param {number} depth - 現在の階層（最上位が1）
+ * @return {Array} child_page / child_database ブロックの配列
+ */
+function findChildPageBlocks(blockId, depth = 1) {
+  const found = [];
+  for (const block of getBlockChildren(blockId)) {
+    if (block.type === 'child_page' || block.type === 'child_database') {
+      found.push(block);
+      continue;
+    }
+
+    // 同期ブロックの複製の中身は同期元のページに属するため辿らない
+    const isSyncedCopy = block.type === 'synced_block' && block.synced_block && block.synced_block.synced_from;
+    if (block.has_children && !isSyncedCopy && !BLOCK_TYPES_WITHOUT_CHILD_PAGES.includes(block.type) && depth < MAX_BLOCK_DEPTH) {
+      found.push(...findChildPageBlocks(block.id, depth + 1));
+    }
+  }
+  return found;
+}
+
+/**
+ * ページの保存先フォルダのIDを取得する（フォルダがなければ作成する）
+ * エクスポート対象にフォルダ（SOURCE_FOLDER_PATH）が指定されている場合はその下に配置し、
+ * フォルダの振り分けが設定されている場合は、さらにページのプロパティに応じたフォルダに配置する
+ * @param {Object} page - Notionページオブジェクト（folderPathを持つ場合がある）
+ * @return {string} フォルダID
+ */
+function getPageFolderId(page) {
+  const folderPath = SOURCE_FOLDER_PATH
+    .concat(page.folderPath || [])
+    .concat(getRoutingFolderPath(page));
+  if (folderPath.length === 0) {
+    return DRIVE_FOLDER_ID;
+  }
+  return getOrCreateFolderPath(DRIVE_FOLDER_ID, folderPath).getId();
+}
+
+/**
+ * フォルダの振り分け（FOLDER_ROUTING）に従って、ページの保存先フォルダ名の配列を作成する
+ * 「/」で区切ると入れ子のフォルダになる（例: "{作成日時:yyyy}/{作成日時:MM}"）
+ * @param {Object} page - Notionページオブジェクト
+ * @return {Array} フォルダ名の配列（振り分けが設定されていない場合は空配列）
+ */
+function getRoutingFolderPath(page) {
+  if (!FOLDER_ROUTING) {
+    return [];
+  }
+
+  // プロパティの値に「/」が含まれていてもフォルダが分かれないよう、先に区切ってから展開する
+  return FOLDER_ROUTING.split('/')
+    .map(segment => segment.trim())
+    .filter(segment => segment)
+    .map(segment => expandPageTemplate(segment, page, ROUTING_EMPTY_FOLDER_NAME).trim() || ROUTING_EMPTY_FOLDER_NAME);
+}
+
+/**
+ * フォルダ名の配列に従って入れ子のフォルダを取得または作成する
+ * @param {string} parentFolderId - 起点となるフォルダID
+ * @param {Array} folderNames - フォルダ名の配列（上位から順）
+ * @return {Folder} 最下層のフォルダ
+ */
+function getOrCreateFolderPath(parentFolderId, folderNames) {
+  let folder = DriveApp.getFolderById(parentFolderId);
+
+  for (const name of folderNames) {
+    const folderName = String(name).replace(/[\\/:*?"<>|]/g, '_').trim() || 'Untitled';
+    const folderIterator = folder.getFoldersByName(folderName);
+    folder = folderIterator.hasNext() ? folderIterator.next() : folder.createFolder(folderName);
+  }
+
+  return folder;
+}
+
+/**
+ * すべてのエクスポート対象について、ページの一覧を取得する
+ * 一覧を取得できなかったエクスポート対象は失敗の処理結果として返す
+ * @return {Object} {targets: [{mapping, pages}], failures: 処理結果の配列}
+ */
+function getPagesForAllMappings() {
+  const targets = [];
+  const failures = [];
+
+  for (const mapping of EXPORT_MAPPINGS) {
+    applyExportMapping(mapping);
+
+    try {
+      targets.push({ mapping: mapping, pages: getSourcePages() });
+    } catch (error) {
+      Logger.log(`エクスポート対象「${mapping.name}」のページ一覧を取得できませんでした: ${describeError(error)}`);
+      failures.push(createMappingFailureResult(mapping, error));
+    }
+  }
+
+  return { targets: targets, failures: failures };
+}
+
+/**
+ * ページ一覧の取得に失敗したエクスポート対象の処理結果を作成する
+ * @param {Object} mapping - マッピング
+ * @param {Error} error - 発生したエラー
+ * @return {Object} 処理結果オブジェクト
+ */
+function createMappingFailureResult(mapping, error) {
+  return {
+    pageId: mapping.sourceId,
+    pageTitle: `[${mapping.name}] ページ一覧の取得`,
+    status: 'Fail',
+    message: `ページ一覧を取得できませんでした: ${error.message}`,
+    errorType: getErrorTypeLabel(error),
+    mappingName: mapping.name,
+    timestamp: new Date().toISOString()
+  };
+}
@@ -0,0 +1,358 @@
+/**
+ * Notionページのプロパティの表示
+ * プロパティの種類ごとに値を読みやすい文字列に整形し、ドキュメントのタイトル下にプロパティ表として追加する
+ */
+
+/**
+ * プロパティ表の見出し列の背景色
+ */
+const PROPERTY_TABLE_LABEL_BACKGROUND = '#f3f3f3';
+
+/**
+ * プロパティ表の枠線の色
+ */
+const PROPERTY_TABLE_BORDER_COLOR = '#dddddd';
+
+/**
+ * プロパティの値を表示用の文字列とリンクに変換する
+ * リレーションは関連ページのタイトルごとのリンク（links）を持つ
+ * @param {Object} property - Notionページのプロパティ（page.properties[name]）
+ * @param {Object} page - プロパティを持つNotionページ（省略時は省略されたリレーション・ロールアップを取得しない）
+ * @return {Object} {text: 表示する文字列, url: リンク先（リンクがない場合はnull）, links?: [{start, end, url}]}
+ */
+function renderPropertyValue(property, page = null) {
+  if (!property) {
+    return { text: '', url: null };
+  }
+
+  const value = property[property.type];
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return { text: getPlainText(value), url: null };
+
+    case 'number':
+      return { text: value === null ? '' : formatPropertyNumber(value), url: null };
+
+    case 'select':
+    case 'status':
+      return { text: value ? value.name : '', url: null };
+
+    case 'multi_select':
+      return { text: (value || []).map(option => option.name).join(', '), url: null };
+
+    case 'date':
+      return { text: formatPropertyDate(value), url: null };
+
+    case 'checkbox':
+      return { text: value ? '☑' : '☐', url: null };
+
+    case 'url':
+      return { text: value || '', url: value || null };
+
+    case 'email':
+      return { text: value || '', url: value ? `mailto:${value}` : null };
+
+    case 'phone_number':
+      return { text: value || '', url: value ? `tel:${value}` : null };
+
+    case 'people':
+      return { text: (value || []).map(getPersonName).join(', '), url: null };
+
+    case 'created_by':
+    case 'last_edited_by':
+      return { text: getPersonName(value), url: null };
+
+    case 'created_time':
+    case 'last_edited_time':
+      return { text: formatPropertyDate({ start: value }), url: null };
+
+    case 'files':
+      return renderFilesProperty(value || []);
+
+    case 'formula':
+      return renderPropertyValue(value);
+
+    case 'relation':
+      return renderRelationProperty(property, page);
+
+    case 'rollup':
+      return { text: formatRollupProperty(resolveRollupValue(property, page)), url: null };
+
+    case 'unique_id':
+      return { text: value ? `${value.prefix ? value.prefix + '-' : ''}${value.number}` : '', url: null };
+
+    case 'verification':
+      return { text: value && value.state === 'verified' ? '検証済み' : '', url: null };
+
+    // formulaの結果（formula.type が string / number / boolean / date）
+    case 'string':
+      return { text: value || '', url: null };
+
+    case 'boolean':
+      return { text: value ? '☑' : '☐', url: null };
+
+    default:
+      Logger.log(`未サポートのプロパティタイプ: ${property.type}`);
+      return { text: '', url: null };
+  }
+}
+
+/**
+ * プロパティの値を表示用の文字列に変換する
+ * @param {Object} property - Notionページのプロパティ
+ * @param {Object} page - プロパティを持つNotionページ（省略可）
+ * @return {string} 表示する文字列
+ */
+function formatPropertyValue(property, page = null) {
+  return renderPropertyValue(property, page).text;
+}
+
+/**
+ * リッチテキストの配列をプレーンテキストに変換する
+ * @param {Array} richTextArray - リッチテキストの配列
+ * @return {string}
+ */
+function getPlainText(richTextArray) {
+  return (richTextArray || []).map(textObj => textObj.plain_text).join('');
+}
+
+/**
+ * 数値を桁区切りの文字列に変換する
+ * @param {number} value - 数値
+ * @return {string}
+ */
+function formatPropertyNumber(value) {
+  return Number(value).toLocaleString('ja-JP', { maximumFractionDigits: 10 });
+}
+
+/**
+ * 日付プロパティの値を文字列に変換する
+ * 時刻を含まない日付は日付のみ、期間の場合は「開始 → 終了」の形式で表示する
+ * @param {Object} date - {start, end, time_zone}
+ * @return {string}
+ */
+function formatPropertyDate(date) {
+  if (!date || !date.start) {
+    return '';
+  }
+
+  const timeZone = date.time_zone || Session.getScriptTimeZone();
+  const formatOne = value => {
+    // 時刻を含まない日付（YYYY-MM-DD）はタイムゾーンの変換をしない
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value.replace(/-/g, '/');
+    }
+    return Utilities.formatDate(new Date(value), timeZone, 'yyyy/MM/dd HH:mm');
+  };
+
+  return date.end ? `${formatOne(date.start)} → ${formatOne(date.end)}` : formatOne(date.start);
+}
+
+/**
+ * ユーザーの表示名を取得する
+ * @param {Object} person - Notionのユーザーオブジェクト
+ * @return {string}
+ */
+function getPersonName(person) {
+  if (!person) {
+    return '';
+  }
+  return person.name || (person.person && person.person.email) || person.id || '';
+}
+
+/**
+ * ファイルプロパティの値を変換する（ファイルが1つの場合はリンクを付ける）
+ * @param {Array} files - ファイルの配列
+ * @return {Object} {text, url}
+ */
+function renderFilesProperty(files) {
+  const getFileUrl = file => file.type === 'external' ? file.external.url : file.file.url;
+
+  return {
+    text: files.map(file => file.name || getFileUrl(file)).join(', '),
+    url: files.length === 1 ? getFileUrl(files[0]) : null
+  };
+}
+
+/**
+ * ロールアッププロパティの値を変換する
+ * @param {Object} rollup - {type, number / date / array}
+ * @return {string}
+ */
+function formatRollupProperty(rollup) {
+  if (!rollup) {
+    return '';
+  }
+
+  switch (rollup.type) {
+    case 'number':
+      return rollup.number === null ? '' : formatPropertyNumber(rollup.number);
+    case 'date':
+      return formatPropertyDate(rollup.date);
+    case 'array':
+      return (rollup.array || []).map(item => formatPropertyValue(item)).filter(text => text).join(', ');
+    default:
+      return '';
+  }
+}
+
+/**
+ * ページのプロパティを埋め込んだ文字列を作成する
+ * {プロパティ名} はプロパティの値、{プロパティ名:書式} は日付を書式（例: yyyy, MM）で整形した値に置き換える
+ * プロパティ名の代わりに title（ページタイトル）、id（ページID）、作成日時、最終更新日時も使用できる
+ * @param {string} template - テンプレート（例: "{Category}", "{作成日時:yyyy}"）
+ * @param {Object} page - Notionページオブジェクト
+ * @param {string} emptyValue - 値が空の場合に使用する文字列
+ * @return {string}
+ */
+function expandPageTemplate(template, page, emptyValue = '') {
+  return String(template).replace(/\{([^{}:]+)(?::([^{}]+))?\}/g, (match, name, format) => {
+    const value = getPageTemplateValue(page, name.trim(), format ? format.trim() : null);
+    return value === '' ? emptyValue : value;
+  });
+}
+
+/**
+ * テンプレートの項目に対応するページの値を取得する
+ * @param {Object} page - Notionページオブジェクト
+ * @param {string} name - 項目名（プロパティ名、title、id、作成日時、最終更新日時）
+ * @param {string} format - 日付の書式（省略時はnull）
+ * @return {string}
+ */
+function getPageTemplateValue(page, name, format) {
+  const properties = page.properties || {};
+
+  if (name === 'title') {
+    return getPageTitle(page);
+  }
+  if (name === 'id') {
+    return page.id.replace(/-/g, '');
+  }
+
+  const timestamp = DATABASE_SORT_TIMESTAMPS[name];
+  if (timestamp && !(name in properties)) {
+    return format ? formatTemplateDate(page[timestamp], format) : formatPropertyDate({ start: page[timestamp] });
+  }
+
+  const property = properties[name];
+  if (!property) {
+    return '';
+  }
+  if (format) {
+    return formatTemplateDate(getPropertyDateStart(property), format);
+  }
+  return formatPropertyValue(property, page);
+}
+
+/**
+ * 日付を含むプロパティから開始日時を取得する
+ * @param {Object} property - Notionページのプロパティ
+ * @return {string} ISO 8601形式の日付（日付を含まない場合はnull）
+ */
+function getPropertyDateStart(property) {
+  const value = property[property.type];
+
+  switch (property.type) {
+    case 'date':
+      return value ? value.start : null;
+    case 'created_time':
+    case 'last_edited_time':
+      return value;
+    case 'formula':
+    case 'rollup':
+      return value && value.type === 'date' && value.date ? value.date.start : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 日付を書式に従って整形する
+ * @param {string} value - ISO 8601形式の日付
+ * @param {string} format - 書式（Utilities.formatDateの形式）
+ * @return {string}
+ */
+function formatTemplateDate(value, format) {
+  if (!value) {
+    return '';
+  }
+  return Utilities.formatDate(parseNotionDate(value), Session.getScriptTimeZone(), format);
+}
+
+/**
+ * Notionの日付をDateに変換する
+ * 時刻を含まない日付（YYYY-MM-DD）はスクリプトのタイムゾーンの0時として扱う
+ * @param {string} value - ISO 8601形式の日付
+ * @return {Date}
+ */
+function parseNotionDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+}
+
+/**
+ * プロパティ表に表示するプロパティを取得する
+ * 設定シートの【表示プロパティ】に指定がある場合はその順番で、ない場合はタイトル以外のすべてのプロパティを表示する
+ * @param {Object} page - Notionページオブジェクト
+ * @return {Array} [プロパティ名, プロパティ] の配列
+ */
+function getDisplayProperties(page) {
+  const properties = page.properties || {};
+
+  if (DISPLAY_PROPERTIES.length > 0) {
+    return DISPLAY_PROPERTIES
+      .filter(name => name in properties)
+      .map(name => [name, properties[name]]);
+  }
+
+  return Object.keys(properties)
+    .filter(name => properties[name].type !== 'title')
+    .map(name => [name, properties[name]]);
+}
+
+/**
+ * ページのプロパティを2列の表としてドキュメントに追加する
+ * 表示するプロパティがない場合（データベース外のページなど）は何もしない
+ * @param {Body} body - ドキュメントのbody
+ * @param {Object} page - Notionページオブジェクト
+ */
+function appendPropertyTable(body, page) {
+  const displayProperties = getDisplayProperties(page);
+  if (displayProperties.length === 0) {
+    return;
+  }
+
+  const rendered = displayProperties.map(([name, property]) => {
+    try {
+      return { name: name, value: renderPropertyValue(property, page) };
+    } catch (error) {
+      Logger.log(`プロパティ "${name}" の変換中にエラー: ${error.message}`);
+      return { name: name, value: { text: '', url: null } };
+    }
+  });
+
+  const table = body.appendTable(rendered.map(item => [item.name, item.value.text]));
+  table.setBorderColor(PROPERTY_TABLE_BORDER_COLOR);
+
+  rendered.forEach((item, rowIndex) => {
+    const row = table.getRow(rowIndex);
+    row.getCell(0)
+      .setBackgroundColor(PROPERTY_TABLE_LABEL_BACKGROUND)
+      .setWidth(120)
+      .editAsText().setBold(true);
+
+    if (item.value.url && item.value.text) {
+      row.getCell(1).editAsText().setLinkUrl(item.value.url);
+    }
+    // リレーションは関連ページごとにリンクを付ける
+    for (const link of item.value.links || []) {
+      if (link.end >= link.start) {
+        row.getCell(1).editAsText().setLinkUrl(link.start, link.end, link.url);
+      }
+    }
+  });
+
+  // 表の後に空行を入れて本文と区切る
+  body.appendParagraph('');
+}
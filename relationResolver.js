@@ -0,0 +1,160 @@
+/**
+ * リレーション・ロールアッププロパティの解決
+ * 関連ページのIDをページタイトルに置き換え、エクスポート済みのページはドキュメントへのリンクにする
+ * ページオブジェクトで省略されたリレーション（25件超）と、それに基づくロールアップは、プロパティ項目のエンドポイントから完全な値を取得する
+ */
+
+// 関連ページID -> タイトル（同じ実行の中で同じページを何度も取得しないため）
+const relatedPageTitleCache = {};
+
+// "ページID:プロパティID" -> プロパティ項目の取得結果（プロパティ表・テンプレート・シートで同じ値を何度も取得しないため）
+const propertyItemCache = {};
+
+/**
+ * 1件ずつ返されるプロパティ項目のうち、ページオブジェクトでは配列になっている種類
+ */
+const LIST_PROPERTY_ITEM_TYPES = ['title', 'rich_text', 'people', 'relation'];
+
+/**
+ * リレーションプロパティの値を、関連ページのタイトルとリンクに変換する
+ * @param {Object} property - リレーションプロパティ
+ * @param {Object} page - プロパティを持つNotionページ（省略時は省略されたリレーションを取得しない）
+ * @return {Object} {text: 表示する文字列, url: null, links: [{start, end, url}]（タイトルごとのリンク）}
+ */
+function renderRelationProperty(property, page = null) {
+  const relations = getFullRelations(property, page);
+  const links = [];
+  let text = '';
+
+  for (const relation of relations) {
+    if (text) {
+      text += ', ';
+    }
+    const title = getRelatedPageTitle(relation.id);
+    links.push({
+      start: text.length,
+      end: text.length + title.length - 1,
+      url: resolveNotionLink(`https://www.notion.so/${relation.id.replace(/-/g, '')}`)
+    });
+    text += title;
+  }
+
+  // 完全なリストを取得できなかった場合は、続きがあることを示す
+  if (property.has_more && relations === property.relation) {
+    text += ' ...';
+  }
+
+  return { text: text, url: null, links: links };
+}
+
+/**
+ * リレーションの関連ページをすべて取得する
+ * ページオブジェクトに含まれるのは25件までなので、has_moreの場合はプロパティ項目のエンドポイントから取得する
+ * @param {Object} property - リレーションプロパティ
+ * @param {Object} page - プロパティを持つNotionページ（省略可）
+ * @return {Array} 関連ページの {id} の配列
+ */
+function getFullRelations(property, page) {
+  const relations = property.relation || [];
+  if (!property.has_more || !page || !property.id) {
+    return relations;
+  }
+
+  const items = fetchPropertyItems(page, property);
+  return items ? items.results.map(item => item.relation).filter(relation => relation) : relations;
+}
+
+/**
+ * ロールアッププロパティの値を取得する
+ * ページに25件を超えるリレーションがある場合は、ページオブジェクトのロールアップが途中までしか集計されていないため取得し直す
+ * @param {Object} property - ロールアッププロパティ
+ * @param {Object} page - プロパティを持つNotionページ（省略可）
+ * @return {Object} {type, number / date / array}
+ */
+function resolveRollupValue(property, page = null) {
+  const rollup = property.rollup;
+  if (!page || !property.id || !hasIncompleteRelations(page)) {
+    return rollup;
+  }
+
+  const items = fetchPropertyItems(page, property);
+  if (!items || !items.propertyItem || !items.propertyItem.rollup) {
+    return rollup;
+  }
+
+  const fullRollup = Object.assign({}, items.propertyItem.rollup);
+  if (fullRollup.type === 'array') {
+    fullRollup.array = items.results.map(normalizePropertyItem);
+  }
+  return fullRollup;
+}
+
+/**
+ * ページに省略されたリレーション（has_more）があるかどうか
+ * @param {Object} page - Notionページオブジェクト
+ * @return {boolean}
+ */
+function hasIncompleteRelations(page) {
+  const properties = page.properties || {};
+  return Object.keys(properties).some(name => properties[name].type === 'relation' && properties[name].has_more);
+}
+
+/**
+ * プロパティ項目のエンドポイントからプロパティの完全な値を取得する（実行中はキャッシュする）
+ * @param {Object} page - Notionページオブジェクト
+ * @param {Object} property - ページのプロパティ
+ * @return {Object} getPagePropertyItems の結果（取得できない場合はnull）
+ */
+function fetchPropertyItems(page, property) {
+  const key = `${page.id}:${property.id}`;
+  if (key in propertyItemCache) {
+    return propertyItemCache[key];
+  }
+
+  let items = null;
+  try {
+    items = getPagePropertyItems(page.id, property.id);
+  } catch (error) {
+    Logger.log(`ページ ${page.id} のプロパティ ${property.id} を取得できませんでした: ${describeError(error)}`);
+  }
+
+  propertyItemCache[key] = items;
+  return items;
+}
+
+/**
+ * 1件ずつ返されるプロパティ項目を、ページオブジェクトのプロパティと同じ形にする
+ * （タイトル・テキスト・ユーザー・リレーションは1件ずつ返されるため配列にする）
+ * @param {Object} item - プロパティ項目
+ * @return {Object} プロパティ
+ */
+function normalizePropertyItem(item) {
+  if (!LIST_PROPERTY_ITEM_TYPES.includes(item.type) || Array.isArray(item[item.type])) {
+    return item;
+  }
+  return Object.assign({}, item, { [item.type]: [item[item.type]] });
+}
+
+/**
+ * 関連ページのタイトルを取得する
+ * 取得できない場合（統合に共有されていないページなど）は、処理済みページ情報のタイトルかページIDの先頭を使用する
+ * @param {string} pageId - 関連ページのID
+ * @return {string} ページタイトル
+ */
+function getRelatedPageTitle(pageId) {
+  if (relatedPageTitleCache[pageId]) {
+    return relatedPageTitleCache[pageId];
+  }
+
+  let title;
+  try {
+    title = getPageTitle(getNotionPageById(pageId));
+  } catch (error) {
+    Logger.log(`関連ページ ${pageId} を取得できませんでした: ${describeError(error)}`);
+    const entry = getPageDocMap()[pageId];
+    title = entry && entry.title ? entry.title : `Page_${pageId.replace(/-/g, '').substring(0, 8)}`;
+  }
+
+  relatedPageTitleCache[pageId] = title;
+  return title;
+}
@@ -1,3 +1,116 @@
+// 設定シートの「設定項目, 値」を読み込んだもの（設定項目 -> 値）
+let SETTINGS_VALUES = {};
+// 設定シートの【フィルタ】【並び順】から作成したクエリ条件
+let SETTINGS_DATABASE_QUERY = { filter: null, sorts: [] };
+
+/**
+ * 設定シートの初期値のうち、未入力として扱う値
+ */
+const SETTINGS_PLACEHOLDERS = ['ここにデータベースIDを入力', 'ここにルートページIDを入力', 'ここにフォルダIDを入力'];
+
+/**
+ * 設定シートの初期値（設定項目, 値）
+ */
+const SETTINGS_TEMPLATE_ROWS = [
+  ['ソースの種類', 'データベース'],
+  ['NotionデータベースID', 'ここにデータベースIDを入力'],
+  ['NotionルートページID', 'ここにルートページIDを入力'],
+  ['Google DriveフォルダID', 'ここにフォルダIDを入力'],
+  ['ブロック取得の最大階層', 10],
+  ['プロパティを表示', 'はい'],
+  ['フォルダの振り分け', ''],
+  ['ファイル名のテンプレート', ''],
+  ['ファイル名の最大文字数', 100],
+  ['コメントをエクスポート', 'いいえ'],
+  ['コメントの出力方法', '脚注'],
+  ['データベースをシートに出力', 'はい'],
+  ['トグルの表示', '展開'],
+  ['数式の表示', 'LaTeX'],
+  ['メンションの日付のロケール', 'ja-JP'],
+  ['メンションのタイムゾーン', ''],
+  ['フィルタの結合方法', 'AND']
+];
+
+/**
+ * 設定シートの表形式のセクション
+ * セクションはタイトル行（【】で囲む）・見出し行・データ行で構成し、空行で終わる
+ */
+const SETTINGS_SECTIONS = {
+  MAPPING: {
+    title: '【エクスポート対象】',
+    headers: ['名前', 'ソースの種類', 'ソースID', 'フォルダID', 'オプション'],
+    note: '行を追加すると、複数のデータベース・ルートページをそれぞれのフォルダにエクスポートします\n' +
+          '行がない場合は上の「NotionデータベースID」などの設定を使用します\n' +
+          'ソースの種類: データベース / ルートページ（省略時はデータベース）\n' +
+          'フォルダID: 省略時は「Google DriveフォルダID」\n' +
+          'オプション: 「設定項目=値」を ; 区切りで指定すると、このエクスポート対象だけ設定を上書きします' +
+          '（例: ブロック取得の最大階層=5; フィルタを使用=いいえ）'
+  },
+  FILTER: {
+    title: '【フィルタ】',
+    headers: ['プロパティ名', '種類', '条件', '値'],
+    note: '種類: select, status, multi_select, checkbox, date, formula:string, formula:number, formula:checkbox, formula:date\n' +
+          '条件: equals, does_not_equal, contains, does_not_contain, starts_with, ends_with, ' +
+          'greater_than, less_than, greater_than_or_equal_to, less_than_or_equal_to, ' +
+          'before, after, on_or_before, on_or_after, past_week, past_month, past_year, ' +
+          'next_week, next_month, next_year, this_week, is_empty, is_not_empty'
+  },
+  SORT: {
+    title: '【並び順】',
+    headers: ['プロパティ名', '方向'],
+    note: 'プロパティ名に「作成日時」「最終更新日時」を指定するとページのタイムスタンプで並べ替えます\n方向: 昇順 / 降順'
+  },
+  DISPLAY_PROPERTY: {
+    title: '【表示プロパティ】',
+    headers: ['プロパティ名'],
+    note: 'ドキュメントのタイトルの下に表示するプロパティを、表示する順に1行ずつ入力します\n' +
+          '行がない場合はタイトル以外のすべてのプロパティを表示します\n' +
+          '表を表示しない場合は「プロパティを表示」を「いいえ」にしてください'
+  },
+  THEME: {
+    title: '【テーマ】',
+    headers: ['項目', '値'],
+    note: 'ドキュメントの配色とフォントを変更する項目を1行ずつ入力します（行がない項目は既定値）\n' +
+          'Notionの色: gray, brown, orange, yellow, green, blue, purple, pink, red と、それぞれの _background（例: red_background）\n' +
+          'フォント: 本文のフォント, コードのフォント, 数式のフォント\n' +
+          'その他の色: コードの背景色, コードの文字色, コードのコメント, コードの文字列, コードのキーワード, コードの数値, ' +
+          'コードのキー, コードの変数, 引用の文字色, コールアウトの背景色, 数式の文字色, 数式の背景色, ' +
+          'メンションの文字色, メンションの背景色, リンクカードの背景色, リンクカードの枠線の色, ' +
+          'リンクカードの説明の文字色, リンクカードのURLの文字色, 添付ファイルの詳細の文字色\n' +
+          '色は #RRGGBB 形式で入力します'
+  }
+};
+
+/**
+ * フィルタの値の種類ごとに使用できる条件
+ * formulaの場合は「formula:」の後ろの種類（string, number, checkbox, date）で判定する
+ */
+const DATABASE_FILTER_CONDITIONS = {
+  select: ['equals', 'does_not_equal', 'is_empty', 'is_not_empty'],
+  status: ['equals', 'does_not_equal', 'is_empty', 'is_not_empty'],
+  multi_select: ['contains', 'does_not_contain', 'is_empty', 'is_not_empty'],
+  checkbox: ['equals', 'does_not_equal'],
+  date: [
+    'equals', 'before', 'after', 'on_or_before', 'on_or_after', 'is_empty', 'is_not_empty',
+    'past_week', 'past_month', 'past_year', 'next_week', 'next_month', 'next_year', 'this_week'
+  ],
+  string: ['equals', 'does_not_equal', 'contains', 'does_not_contain', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'],
+  number: [
+    'equals', 'does_not_equal', 'greater_than', 'less_than',
+    'greater_than_or_equal_to', 'less_than_or_equal_to', 'is_empty', 'is_not_empty'
+  ]
+};
+
+/**
+ * 並び順に指定できるページのタイムスタンプ
+ */
+const DATABASE_SORT_TIMESTAMPS = {
+  '作成日時': 'created_time',
+  '最終更新日時': 'last_edited_time',
+  'created_time': 'created_time',
+  'last_edited_time': 'last_edited_time'
+};
+
 /**
  * スプレッドシートから設定を読み込む
  * 必要なシートがない場合は作成する
@@ -16,9 +129,7 @@ function loadSettings() {
       settingsSheet = ss.insertSheet('設定');
       
       // 設定シートの初期設定
-      settingsSheet.getRange('A1:B1').setValues([['設定項目', '値']]).setFontWeight('bold');
-      settingsSheet.getRange('A2:A3').setValues([['NotionデータベースID'], ['Google DriveフォルダID']]);
-      settingsSheet.getRange('B2:B3').setValues([['ここにデータベースIDを入力'], ['ここにフォルダIDを入力']]);
+      writeSettingsTemplate(settingsSheet);
       settingsSheet.autoResizeColumns(1, 2);
       
       showAlert('設定シートを作成しました', '「設定」シートにNotionデータベースIDとGoogle DriveフォルダIDを入力してください。');
@@ -27,27 +138,57 @@ function loadSettings() {
     }
     
     // 設定を読み込む
-    const settings = settingsSheet.getRange('A1:B10').getValues();
+    const sheetValues = settingsSheet.getDataRange().getValues();
     
-    // 設定値を探す
-    for (let i = 0; i < settings.length; i++) {
-      const key = settings[i][0];
-      const value = settings[i][1];
-      
-      if (key === 'NotionデータベースID' && value && value !== 'ここにデータベースIDを入力') {
-        DATABASE_ID = value;
-      } else if (key === 'Google DriveフォルダID' && value && value !== 'ここにフォルダIDを入力') {
-        DRIVE_FOLDER_ID = value;
+    // 「設定項目, 値」の行をまとめる（マッピングのオプションで上書きできるよう保持しておく）
+    SETTINGS_VALUES = {};
+    for (const row of getKeyValueSettingRows(sheetValues)) {
+      const key = String(row[0]).trim();
+      const value = row[1];
+      if (key && value !== '' && value !== null && !SETTINGS_PLACEHOLDERS.includes(value)) {
+        SETTINGS_VALUES[key] = value;
       }
     }
     
-    // 必要な設定が揃っているか確認
-    if (!DATABASE_ID || !DRIVE_FOLDER_ID) {
-      showAlert('設定が不足しています', '「設定」シートにNotionデータベースIDとGoogle DriveフォルダIDを入力してください。');
+    // フィルタと並び順を読み込む
+    try {
+      const filterOperator = String(SETTINGS_VALUES['フィルタの結合方法'] || 'AND').trim().toUpperCase();
+      SETTINGS_DATABASE_QUERY = {
+        filter: buildDatabaseFilter(readSettingsSection(sheetValues, SETTINGS_SECTIONS.FILTER.title), filterOperator),
+        sorts: buildDatabaseSorts(readSettingsSection(sheetValues, SETTINGS_SECTIONS.SORT.title))
+      };
+    } catch (error) {
+      showAlert('フィルタ・並び順の設定に誤りがあります', error.message);
+      ss.setActiveSheet(settingsSheet);
+      return false;
+    }
+    
+    // プロパティ表に表示するプロパティを読み込む
+    DISPLAY_PROPERTIES = readSettingsSection(sheetValues, SETTINGS_SECTIONS.DISPLAY_PROPERTY.title)
+      .map(row => String(row[0]).trim())
+      .filter(name => name);
+    
+    // ドキュメントの配色とフォントを読み込む
+    try {
+      THEME_SETTINGS = buildThemeSettings(readSettingsSection(sheetValues, SETTINGS_SECTIONS.THEME.title));
+    } catch (error) {
+      showAlert('テーマの設定に誤りがあります', error.message);
       ss.setActiveSheet(settingsSheet);
       return false;
     }
     
+    // エクスポート対象（ソースと保存先フォルダの組み合わせ）を読み込む
+    try {
+      EXPORT_MAPPINGS = buildExportMappings(readSettingsSection(sheetValues, SETTINGS_SECTIONS.MAPPING.title));
+    } catch (error) {
+      showAlert('設定が不足しています', error.message);
+      ss.setActiveSheet(settingsSheet);
+      return false;
+    }
+    
+    // 最初のエクスポート対象の設定を適用しておく
+    applyExportMapping(EXPORT_MAPPINGS[0]);
+    
     return true;
   }
   
@@ -71,14 +212,10 @@ function loadSettings() {
     const settingsSheet = ss.insertSheet('設定');
     
     // 設定シートの初期設定
-    settingsSheet.getRange('A1:B1').setValues([['設定項目', '値']]).setFontWeight('bold');
-    settingsSheet.getRange('A2:A3').setValues([['NotionデータベースID'], ['Google DriveフォルダID']]);
-    settingsSheet.getRange('B2:B3').setValues([['ここにデータベースIDを入力'], ['ここにフォルダIDを入力']]);
+    writeSettingsTemplate(settingsSheet);
     
     // 書式設定
-    settingsSheet.getRange('B2:B3').setBackground('#f3f3f3');
-    settingsSheet.getRange('A6:A7').setFontStyle('italic');
-    settingsSheet.getRange('B6:B7').setFontStyle('italic').setFontColor('#666666');
+    settingsSheet.getRange(2, 2, SETTINGS_TEMPLATE_ROWS.length, 1).setBackground('#f3f3f3');
     
     // 列幅の自動調整
     settingsSheet.autoResizeColumns(1, 2);
@@ -89,6 +226,336 @@ function loadSettings() {
     showAlert('設定シートを初期化しました', '「設定」シートにNotionデータベースIDとGoogle DriveフォルダIDを入力してください。');
   }
   
+  /**
+   * 設定シートに見出しと設定項目の初期値を書き込む
+   * @param {Sheet} settingsSheet - 設定シート
+   */
+  function writeSettingsTemplate(settingsSheet) {
+    settingsSheet.getRange('A1:B1').setValues([['設定項目', '値']]).setFontWeight('bold');
+    settingsSheet.getRange(2, 1, SETTINGS_TEMPLATE_ROWS.length, 2).setValues(SETTINGS_TEMPLATE_ROWS);
+    
+    // 表形式のセクション（タイトル行と見出し行のみ。データ行はユーザーが入力する）
+    let row = SETTINGS_TEMPLATE_ROWS.length + 3;
+    for (const section of Object.values(SETTINGS_SECTIONS)) {
+      settingsSheet.getRange(row, 1).setValue(section.title).setFontWeight('bold');
+      settingsSheet.getRange(row + 1, 1, 1, section.headers.length)
+        .setValues([section.headers])
+        .setFontWeight('bold')
+        .setBackground('#f3f3f3');
+      if (section.note) {
+        settingsSheet.getRange(row, 1).setNote(section.note);
+      }
+      row += 4;
+    }
+  }
+  
+  /**
+   * セクションのタイトル行かどうか
+   * @param {*} cellValue - A列の値
+   * @return {boolean}
+   */
+  function isSettingsSectionTitle(cellValue) {
+    return /^【.+】$/.test(String(cellValue).trim());
+  }
+  
+  /**
+   * 設定シートの「設定項目, 値」形式の行を取得する（最初のセクションより前の行）
+   * @param {Array} sheetValues - 設定シートの全データ
+   * @return {Array} [設定項目, 値] の配列
+   */
+  function getKeyValueSettingRows(sheetValues) {
+    const rows = [];
+    for (const row of sheetValues) {
+      if (isSettingsSectionTitle(row[0])) {
+        break;
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+  
+  /**
+   * 設定シートから表形式のセクションのデータ行を取得する
+   * @param {Array} sheetValues - 設定シートの全データ
+   * @param {string} title - セクションのタイトル（例: 【フィルタ】）
+   * @return {Array} データ行の配列（セクションがない場合は空配列）
+   */
+  function readSettingsSection(sheetValues, title) {
+    const titleIndex = sheetValues.findIndex(row => String(row[0]).trim() === title);
+    if (titleIndex === -1) {
+      return [];
+    }
+    
+    const rows = [];
+    // タイトルの次の行は見出し行なので、その次からデータ行として読む
+    for (let i = titleIndex + 2; i < sheetValues.length; i++) {
+      const row = sheetValues[i];
+      if (isSettingsSectionTitle(row[0]) || row.every(cell => cell === '' || cell === null)) {
+        break;
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+  
+  /**
+   * エクスポート対象セクションの行からマッピングの配列を作成する
+   * 行がない場合は「設定項目, 値」の設定から1件のマッピングを作成する
+   * @param {Array} rows - [名前, ソースの種類, ソースID, フォルダID, オプション] の配列
+   * @return {Array} {name, sourceType, sourceId, folderId, options} の配列
+   * @throws {Error} 必要な設定が不足している場合
+   */
+  function buildExportMappings(rows) {
+    const mappingRows = rows.filter(row => String(row[2]).trim());
+    
+    if (mappingRows.length === 0) {
+      const sourceType = String(SETTINGS_VALUES['ソースの種類'] || SOURCE_TYPES.DATABASE).trim();
+      
+      // ワークスペースの場合は「ワークスペース」シートで選択したものをエクスポート対象にする
+      if (sourceType === SOURCE_TYPES.WORKSPACE) {
+        return buildWorkspaceExportMappings();
+      }
+      
+      const sourceId = sourceType === SOURCE_TYPES.ROOT_PAGE
+        ? SETTINGS_VALUES['NotionルートページID']
+        : SETTINGS_VALUES['NotionデータベースID'];
+      
+      const mapping = {
+        name: 'デフォルト',
+        sourceType: sourceType,
+        sourceId: String(sourceId || '').trim(),
+        folderId: String(SETTINGS_VALUES['Google DriveフォルダID'] || '').trim(),
+        options: {}
+      };
+      validateExportMapping(mapping);
+      return [mapping];
+    }
+    
+    return mappingRows.map((row, index) => {
+      const mapping = {
+        name: String(row[0]).trim() || `エクスポート対象${index + 1}`,
+        sourceType: String(row[1]).trim() || SOURCE_TYPES.DATABASE,
+        sourceId: String(row[2]).trim(),
+        folderId: String(row[3]).trim() || String(SETTINGS_VALUES['Google DriveフォルダID'] || '').trim(),
+        options: parseMappingOptions(row[4])
+      };
+      validateExportMapping(mapping);
+      return mapping;
+    });
+  }
+  
+  /**
+   * マッピングに必要な設定が揃っているか確認する
+   * @param {Object} mapping - マッピング
+   * @throws {Error} 設定が不足している、または不正な場合
+   */
+  function validateExportMapping(mapping) {
+    // ワークスペースは「設定」シート上部の「ソースの種類」でのみ指定できる
+    if (mapping.sourceType !== SOURCE_TYPES.DATABASE && mapping.sourceType !== SOURCE_TYPES.ROOT_PAGE) {
+      throw new Error(`「${mapping.name}」のソースの種類には「${SOURCE_TYPES.DATABASE}」または「${SOURCE_TYPES.ROOT_PAGE}」を入力してください。`);
+    }
+    
+    if (!mapping.sourceId || !mapping.folderId) {
+      const sourceLabel = mapping.sourceType === SOURCE_TYPES.ROOT_PAGE ? 'NotionルートページID' : 'NotionデータベースID';
+      throw new Error(`「設定」シートに${sourceLabel}とGoogle DriveフォルダIDを入力してください。` +
+                      (mapping.name === 'デフォルト' ? '' : `（エクスポート対象: ${mapping.name}）`));
+    }
+  }
+  
+  /**
+   * マッピングのオプション文字列を解析する
+   * @param {string} text - 「設定項目=値; 設定項目=値」形式の文字列
+   * @return {Object} 設定項目 -> 値
+   */
+  function parseMappingOptions(text) {
+    const options = {};
+    String(text || '').split(/[;；\n]/).forEach(part => {
+      const separatorIndex = part.search(/[=＝]/);
+      if (separatorIndex > 0) {
+        options[part.substring(0, separatorIndex).trim()] = part.substring(separatorIndex + 1).trim();
+      }
+    });
+    return options;
+  }
+  
+  /**
+   * マッピングの内容をグローバル設定に反映する
+   * 設定シートの値にマッピングのオプションを上書きした値を使用する
+   * @param {Object} mapping - マッピング
+   */
+  function applyExportMapping(mapping) {
+    const values = Object.assign({}, SETTINGS_VALUES, mapping.options);
+    
+    SOURCE_TYPE = mapping.sourceType;
+    DATABASE_ID = mapping.sourceType === SOURCE_TYPES.DATABASE ? mapping.sourceId : '';
+    ROOT_PAGE_ID = mapping.sourceType === SOURCE_TYPES.ROOT_PAGE ? mapping.sourceId : '';
+    DRIVE_FOLDER_ID = mapping.folderId;
+    SOURCE_FOLDER_PATH = mapping.folderPath || [];
+    
+    const depth = parseInt(values['ブロック取得の最大階層']);
+    MAX_BLOCK_DEPTH = depth > 0 ? depth : 10;
+    
+    SHOW_PROPERTY_TABLE = parseBooleanSetting(values['プロパティを表示'], true);
+    FOLDER_ROUTING = String(values['フォルダの振り分け'] || '').trim();
+    EXPORT_COMMENTS = parseBooleanSetting(values['コメントをエクスポート'], false);
+    MIRROR_DATABASE_TO_SHEET = parseBooleanSetting(values['データベースをシートに出力'], true);
+    COMMENT_EXPORT_MODE = String(values['コメントの出力方法'] || '').trim() === COMMENT_EXPORT_MODES.DOCS_COMMENT
+      ? COMMENT_EXPORT_MODES.DOCS_COMMENT
+      : COMMENT_EXPORT_MODES.FOOTNOTE;
+    FILE_NAME_TEMPLATE = String(values['ファイル名のテンプレート'] || '').trim();
+    
+    const toggleDisplay = String(values['トグルの表示'] || '').trim();
+    TOGGLE_DISPLAY = Object.values(TOGGLE_DISPLAY_MODES).includes(toggleDisplay) ? toggleDisplay : TOGGLE_DISPLAY_MODES.EXPANDED;
+    
+    const equationDisplay = String(values['数式の表示'] || '').trim();
+    EQUATION_DISPLAY = equationDisplay in EQUATION_RENDERERS ? equationDisplay : EQUATION_DISPLAY_MODES.SOURCE;
+    
+    MENTION_DATE_LOCALE = normalizeMentionDateLocale(String(values['メンションの日付のロケール'] || '').trim());
+    MENTION_TIME_ZONE = normalizeMentionTimeZone(String(values['メンションのタイムゾーン'] || '').trim());
+    
+    const maxLength = parseInt(values['ファイル名の最大文字数']);
+    FILE_NAME_MAX_LENGTH = maxLength > 0 ? maxLength : 100;
+    
+    const useFilter = parseBooleanSetting(values['フィルタを使用'], true);
+    DATABASE_FILTER = useFilter ? SETTINGS_DATABASE_QUERY.filter : null;
+    DATABASE_SORTS = useFilter ? SETTINGS_DATABASE_QUERY.sorts : [];
+  }
+  
+  /**
+   * はい/いいえ形式の設定値を真偽値に変換する
+   * @param {*} value - 設定値
+   * @param {boolean} defaultValue - 未入力または判別できない場合の値
+   * @return {boolean}
+   */
+  function parseBooleanSetting(value, defaultValue) {
+    if (value === true || /^(はい|yes|true|1|する)$/i.test(String(value).trim())) {
+      return true;
+    }
+    if (value === false || /^(いいえ|no|false|0|しない)$/i.test(String(value).trim())) {
+      return false;
+    }
+    return defaultValue;
+  }
+  
+  /**
+   * フィルタセクションの行からNotionのデータベースクエリ用フィルタを作成する
+   * @param {Array} rows - [プロパティ名, 種類, 条件, 値] の配列
+   * @param {string} operator - 複数条件の結合方法（'AND' または 'OR'）
+   * @return {Object|null} Notionのフィルタオブジェクト（条件がない場合はnull）
+   * @throws {Error} 種類や条件の指定が不正な場合
+   */
+  function buildDatabaseFilter(rows, operator) {
+    const conditions = rows
+      .filter(row => String(row[0]).trim())
+      .map(row => buildFilterCondition(row));
+    
+    if (conditions.length === 0) {
+      return null;
+    }
+    if (conditions.length === 1) {
+      return conditions[0];
+    }
+    
+    if (operator !== 'AND' && operator !== 'OR') {
+      throw new Error(`フィルタの結合方法は AND または OR を指定してください: ${operator}`);
+    }
+    return { [operator.toLowerCase()]: conditions };
+  }
+  
+  /**
+   * フィルタの1行を条件オブジェクトに変換する
+   * @param {Array} row - [プロパティ名, 種類, 条件, 値]
+   * @return {Object} 例: {property: 'Status', select: {equals: 'Published'}}
+   * @throws {Error} 種類や条件の指定が不正な場合
+   */
+  function buildFilterCondition(row) {
+    const propertyName = String(row[0]).trim();
+    const typeSpec = String(row[1]).trim();
+    const condition = String(row[2]).trim();
+    
+    // formulaの場合は「formula:string」のように計算結果の種類を指定する
+    const [propertyType, formulaType] = typeSpec.split(':');
+    const valueType = propertyType === 'formula' ? formulaType : propertyType;
+    
+    const allowedConditions = DATABASE_FILTER_CONDITIONS[valueType];
+    if (!allowedConditions || (propertyType === 'formula') !== Boolean(formulaType)) {
+      throw new Error(`フィルタ「${propertyName}」の種類「${typeSpec}」はサポートされていません。`);
+    }
+    if (!allowedConditions.includes(condition)) {
+      throw new Error(`フィルタ「${propertyName}」の条件「${condition}」は種類「${typeSpec}」では使用できません。\n` +
+                      `使用できる条件: ${allowedConditions.join(', ')}`);
+    }
+    
+    const typeCondition = {
+      [condition]: convertFilterValue(valueType, condition, row[3], propertyName)
+    };
+    
+    if (propertyType === 'formula') {
+      return { property: propertyName, formula: { [formulaType]: typeCondition } };
+    }
+    return { property: propertyName, [propertyType]: typeCondition };
+  }
+  
+  /**
+   * シートに入力された値をフィルタ条件の値に変換する
+   * @param {string} valueType - 値の種類（select, checkbox, date, number など）
+   * @param {string} condition - 条件（equals など）
+   * @param {*} rawValue - シートのセルの値
+   * @param {string} propertyName - プロパティ名（エラーメッセージ用）
+   * @return {*} Notion APIに渡す値
+   * @throws {Error} 値が不正な場合
+   */
+  function convertFilterValue(valueType, condition, rawValue, propertyName) {
+    if (condition === 'is_empty' || condition === 'is_not_empty') {
+      return true;
+    }
+    if (/^(past|next|this)_/.test(condition)) {
+      // 相対日付の条件は空オブジェクトを渡す
+      return {};
+    }
+    
+    if (valueType === 'checkbox') {
+      return rawValue === true || /^(true|yes|はい|1)$/i.test(String(rawValue).trim());
+    }
+    
+    if (rawValue === '' || rawValue === null) {
+      throw new Error(`フィルタ「${propertyName}」の値が入力されていません。`);
+    }
+    
+    if (valueType === 'number') {
+      const number = Number(rawValue);
+      if (isNaN(number)) {
+        throw new Error(`フィルタ「${propertyName}」の値は数値で入力してください: ${rawValue}`);
+      }
+      return number;
+    }
+    
+    if (valueType === 'date' && rawValue instanceof Date) {
+      return Utilities.formatDate(rawValue, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    }
+    
+    return String(rawValue).trim();
+  }
+  
+  /**
+   * 並び順セクションの行からNotionのデータベースクエリ用ソートを作成する
+   * @param {Array} rows - [プロパティ名, 方向] の配列
+   * @return {Array} Notionのソートオブジェクトの配列
+   */
+  function buildDatabaseSorts(rows) {
+    return rows
+      .filter(row => String(row[0]).trim())
+      .map(row => {
+        const name = String(row[0]).trim();
+        const direction = /^(降順|desc|descending)$/i.test(String(row[1]).trim()) ? 'descending' : 'ascending';
+        
+        if (DATABASE_SORT_TIMESTAMPS[name]) {
+          return { timestamp: DATABASE_SORT_TIMESTAMPS[name], direction: direction };
+        }
+        return { property: name, direction: direction };
+      });
+  }
+  
   /**
    * スクリプトを実行する前に必要なサービスを確認
    */
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./gasEnvironment');
+
+loadScripts();
+
+/**
+ * トークンを [種類, 文字列] の配列にする
+ * @param {string} code - コード
+ * @param {string} language - Notionの言語名
+ * @return {Array}
+ */
+function tokenTexts(code, language) {
+  return tokenizeCode(code, language).map(token => [token.type, code.substring(token.start, token.end + 1)]);
+}
+
+test('tokenizeCode: キーワード・数値・コメント・文字列を分ける', () => {
+  assert.deepEqual(tokenTexts('const x = 1; // hi\nreturn "s";', 'javascript'), [
+    ['keyword', 'const'],
+    ['number', '1'],
+    ['comment', '// hi'],
+    ['keyword', 'return'],
+    ['string', '"s"']
+  ]);
+});
+
+test('tokenizeCode: 複数行のコメントは1つのトークンにする', () => {
+  assert.deepEqual(tokenTexts('/* a\nb */ let', 'ts'), [['comment', '/* a\nb */'], ['keyword', 'let']]);
+});
+
+test('tokenizeCode: 識別子の途中はキーワードや数値にしない', () => {
+  assert.deepEqual(tokenTexts('iffy = x10', 'python'), []);
+});
+
+test('tokenizeCode: 言語ごとの規則を使用する', () => {
+  assert.deepEqual(tokenTexts('{"a": true}', 'json'), [['key', '"a"'], ['literal', 'true']]);
+  assert.deepEqual(tokenTexts('echo $HOME # c', 'shell'), [['variable', '$HOME'], ['comment', '# c']]);
+  assert.deepEqual(tokenTexts('a#b', 'bash'), []);
+  assert.deepEqual(tokenTexts('SELECT id FROM t', 'SQL'), [['keyword', 'SELECT'], ['keyword', 'FROM']]);
+});
+
+test('tokenizeCode: 対応していない言語は色分けしない', () => {
+  assert.deepEqual(tokenizeCode('const x = 1;', 'plain text'), []);
+  assert.deepEqual(tokenizeCode('const x = 1;', undefined), []);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./gasEnvironment');
+
+loadScripts();
+
+test('convertLatexToUnicode: 上付き文字・下付き文字に変換する', () => {
+  assert.equal(convertLatexToUnicode('E = mc^2'), 'E = mc²');
+  assert.equal(convertLatexToUnicode('x_1 + x_{10}'), 'x₁ + x₁₀');
+});
+
+test('convertLatexToUnicode: 変換できない文字を含む上付き文字は ^ と括弧で表す', () => {
+  assert.equal(convertLatexToUnicode('e^{i\\pi}'), 'e^(iπ)');
+});
+
+test('convertLatexToUnicode: 分数と根号の2文字以上の項は括弧で囲む', () => {
+  assert.equal(convertLatexToUnicode('\\frac{a+b}{2}'), '(a+b)/2');
+  assert.equal(convertLatexToUnicode('\\sqrt{x^2+1}'), '√(x²+1)');
+  assert.equal(convertLatexToUnicode('\\sqrt[3]{8}'), '√8');
+});
+
+test('convertLatexToUnicode: ギリシャ文字と記号のコマンドを記号にする', () => {
+  assert.equal(convertLatexToUnicode('\\alpha \\leq \\beta'), 'α ≤ β');
+  assert.equal(convertLatexToUnicode('\\sum_{i=1}^n x_i'), '∑ᵢ₌₁ⁿ xᵢ');
+});
+
+test('convertLatexToUnicode: 書体の指定と括弧の大きさの指定は中身だけを表示する', () => {
+  assert.equal(convertLatexToUnicode('\\mathbf{v}'), 'v');
+  assert.equal(convertLatexToUnicode('\\left( x \\right)'), '( x )');
+});
+
+test('convertLatexToUnicode: 対応していないコマンドはそのまま残す', () => {
+  assert.equal(convertLatexToUnicode('\\ast'), '\\ast');
+});
@@ -0,0 +1,47 @@
+/**
+ * nodeでスクリプトをテストするための環境
+ * Apps Scriptと同じように、すべての .js ファイルを1つのグローバルスコープで読み込む
+ * Apps Scriptのサービスは読み込みに必要なものだけを用意し、テストで使うものは各テストで globalThis に設定する
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..');
+
+// Logger.log で出力されたメッセージ
+const logs = [];
+let loaded = false;
+
+/**
+ * スクリプトを読み込む（テストのプロセスごとに1回だけ読み込む）
+ * 読み込んだ関数はグローバル関数として呼び出せる
+ * @return {Array} Logger.log で出力されたメッセージの配列
+ */
+function loadScripts() {
+  if (loaded) {
+    return logs;
+  }
+
+  const properties = {};
+  globalThis.Logger = { log: message => logs.push(String(message)) };
+  globalThis.Session = { getScriptTimeZone: () => 'Asia/Tokyo' };
+  globalThis.PropertiesService = {
+    getScriptProperties: () => ({
+      getProperty: key => (key in properties ? properties[key] : null),
+      setProperty: (key, value) => { properties[key] = String(value); },
+      deleteProperty: key => { delete properties[key]; }
+    })
+  };
+
+  const fileNames = fs.readdirSync(SCRIPT_DIR).filter(name => name.endsWith('.js')).sort();
+  for (const fileName of fileNames) {
+    const filePath = path.join(SCRIPT_DIR, fileName);
+    vm.runInThisContext(fs.readFileSync(filePath, 'utf8'), { filename: filePath });
+  }
+
+  loaded = true;
+  return logs;
+}
+
+module.exports = { loadScripts };
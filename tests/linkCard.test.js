@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./gasEnvironment');
+
+loadScripts();
+
+test('parseLinkMetadata: Open Graphのmetaタグを優先する', () => {
+  const html = `<html><head>
+    <title>ページのタイトル</title>
+    <meta property="og:title" content="OGのタイトル">
+    <meta name="description" content="説明">
+    <meta property="og:description" content="OGの説明">
+    <meta property="og:site_name" content="Example">
+  </head><body></body></html>`;
+  assert.deepEqual(parseLinkMetadata(html), { title: 'OGのタイトル', description: 'OGの説明', siteName: 'Example' });
+});
+
+test('parseLinkMetadata: metaタグがない場合はtitleタグとdescriptionを使用する', () => {
+  const html = `<head><title>
+    ページの
+    タイトル
+  </title><META NAME='Description' CONTENT='説明'></head>`;
+  assert.deepEqual(parseLinkMetadata(html), { title: 'ページの タイトル', description: '説明', siteName: '' });
+});
+
+test('parseLinkMetadata: 文字参照を文字に戻す', () => {
+  const html = '<head><meta property="og:title" content="Q&amp;A &#x2014; &#12354; &quot;FAQ&quot;"></head>';
+  assert.equal(parseLinkMetadata(html).title, 'Q&A — あ "FAQ"');
+});
+
+test('parseLinkMetadata: bodyの中のmetaタグは使用しない', () => {
+  const html = '<head><title>タイトル</title></head><body><meta property="og:title" content="本文"></body>';
+  assert.equal(parseLinkMetadata(html).title, 'タイトル');
+});
+
+test('parseLinkMetadata: メタデータがない場合は空の値を返す', () => {
+  assert.deepEqual(parseLinkMetadata(''), { title: '', description: '', siteName: '' });
+});
+
+test('isLinkMetadataExpired: 取得に失敗したメタデータは短い時間で取得し直す', () => {
+  const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  assert.equal(isLinkMetadataExpired({ fetchedAt: twoHoursAgo }), false);
+  assert.equal(isLinkMetadataExpired({ fetchedAt: twoHoursAgo, failed: true }), true);
+  assert.equal(isLinkMetadataExpired({ fetchedAt: new Date().toISOString(), failed: true }), false);
+  assert.equal(isLinkMetadataExpired({}), true);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./gasEnvironment');
+
+loadScripts();
+
+const PAGE_ID = '01234567-89ab-cdef-0123-456789abcdef';
+
+test('extractNotionPageId: ページのURLの末尾のIDを取り出す', () => {
+  assert.equal(extractNotionPageId('https://www.notion.so/workspace/Title-0123456789abcdef0123456789abcdef'), PAGE_ID);
+  assert.equal(extractNotionPageId('https://www.notion.so/0123456789ABCDEF0123456789ABCDEF'), PAGE_ID);
+  assert.equal(extractNotionPageId('https://acme.notion.site/Title-0123456789abcdef0123456789abcdef/'), PAGE_ID);
+});
+
+test('extractNotionPageId: クエリとブロックへのアンカーは無視する', () => {
+  assert.equal(
+    extractNotionPageId('https://www.notion.so/Title-0123456789abcdef0123456789abcdef?pvs=4#fedcba9876543210fedcba9876543210'),
+    PAGE_ID
+  );
+});
+
+test('extractNotionPageId: 相対URLは notion.so のURLとして扱う', () => {
+  assert.equal(extractNotionPageId('/0123456789abcdef0123456789abcdef'), PAGE_ID);
+});
+
+test('extractNotionPageId: NotionのページのURLでない場合はnull', () => {
+  assert.equal(extractNotionPageId(''), null);
+  assert.equal(extractNotionPageId(null), null);
+  assert.equal(extractNotionPageId('https://example.com/0123456789abcdef0123456789abcdef'), null);
+  assert.equal(extractNotionPageId('https://www.notion.so/workspace/Title'), null);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./gasEnvironment');
+
+const logs = loadScripts();
+
+test('normalizeMentionTimeZone: IANAのタイムゾーン名はそのまま使用する', () => {
+  assert.equal(normalizeMentionTimeZone('Asia/Tokyo'), 'Asia/Tokyo');
+  assert.equal(normalizeMentionTimeZone('America/New_York'), 'America/New_York');
+  assert.equal(normalizeMentionTimeZone('UTC'), 'UTC');
+});
+
+test('normalizeMentionTimeZone: 空欄は空文字（スクリプトのタイムゾーンを使用する）', () => {
+  assert.equal(normalizeMentionTimeZone(''), '');
+});
+
+test('normalizeMentionTimeZone: 使用できないタイムゾーンは空文字にしてログに出力する', () => {
+  logs.length = 0;
+  assert.equal(normalizeMentionTimeZone('Asia/Nowhere'), '');
+  assert.deepEqual(logs, ['メンションのタイムゾーン「Asia/Nowhere」は使用できません。']);
+});
+
+test('normalizeMentionDateLocale: 使用できないロケールは既定値にする', () => {
+  assert.equal(normalizeMentionDateLocale('en-US'), 'en-US');
+  assert.equal(normalizeMentionDateLocale(''), 'ja-JP');
+  assert.equal(normalizeMentionDateLocale('not a locale'), 'ja-JP');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./gasEnvironment');
+
+loadScripts();
+
+const page = {
+  id: '01234567-89ab-cdef-0123-456789abcdef',
+  created_time: '2024-03-15T01:00:00.000Z',
+  properties: {
+    Name: { type: 'title', title: [{ plain_text: 'キックオフ議事録' }] },
+    Project: { type: 'select', select: { name: '新製品' } },
+    Tags: { type: 'multi_select', multi_select: [{ name: 'A' }, { name: 'B' }] },
+    Owner: { type: 'select', select: null },
+    Date: { type: 'date', date: { start: '2024-03-15' } }
+  }
+};
+
+test('expandPageTemplate: プロパティの値・タイトル・IDを埋め込む', () => {
+  assert.equal(expandPageTemplate('{Project}/{title}', page), '新製品/キックオフ議事録');
+  assert.equal(expandPageTemplate('{Tags}', page), 'A, B');
+  assert.equal(expandPageTemplate('{id}', page), '0123456789abcdef0123456789abcdef');
+  assert.equal(expandPageTemplate('{ Project }', page), '新製品');
+});
+
+test('expandPageTemplate: 値が空・プロパティがない場合は emptyValue にする', () => {
+  assert.equal(expandPageTemplate('{Owner}_{title}', page), '_キックオフ議事録');
+  assert.equal(expandPageTemplate('{Owner}/{Missing}', page, '未分類'), '未分類/未分類');
+});
+
+test('expandPageTemplate: 書式を指定した日付はスクリプトのタイムゾーンで整形する', () => {
+  const calls = [];
+  globalThis.Utilities = {
+    formatDate: (date, timeZone, format) => {
+      calls.push([date.toISOString(), timeZone, format]);
+      return format === 'yyyy' ? '2024' : '2024-03';
+    }
+  };
+  assert.equal(expandPageTemplate('{Date:yyyy}/{作成日時:yyyy-MM}', page), '2024/2024-03');
+  assert.equal(calls[0][1], 'Asia/Tokyo');
+  assert.equal(calls[1][0], '2024-03-15T01:00:00.000Z');
+  assert.deepEqual(calls.map(call => call[2]), ['yyyy', 'yyyy-MM']);
+});
+
+test('expandPageTemplate: 波括弧で囲まれていない部分はそのまま残す', () => {
+  assert.equal(expandPageTemplate('議事録 {} {Project', page), '議事録 {} {Project');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./gasEnvironment');
+
+loadScripts();
+
+test('buildDatabaseFilter: 条件がない場合はnull', () => {
+  assert.equal(buildDatabaseFilter([], 'AND'), null);
+  assert.equal(buildDatabaseFilter([['', '', '', '']], 'AND'), null);
+});
+
+test('buildDatabaseFilter: 条件が1つの場合は結合しない', () => {
+  assert.deepEqual(buildDatabaseFilter([['Status', 'select', 'equals', 'Published']], 'AND'), {
+    property: 'Status',
+    select: { equals: 'Published' }
+  });
+});
+
+test('buildDatabaseFilter: 複数の条件を AND / OR で結合する', () => {
+  const rows = [
+    ['Status', 'status', 'equals', 'Done'],
+    ['Tags', 'multi_select', 'contains', 'Blog']
+  ];
+  assert.deepEqual(buildDatabaseFilter(rows, 'OR'), {
+    or: [
+      { property: 'Status', status: { equals: 'Done' } },
+      { property: 'Tags', multi_select: { contains: 'Blog' } }
+    ]
+  });
+  assert.throws(() => buildDatabaseFilter(rows, 'XOR'), /AND または OR/);
+});
+
+test('buildDatabaseFilter: formulaは計算結果の種類で条件を指定する', () => {
+  assert.deepEqual(buildDatabaseFilter([['Score', 'formula:number', 'greater_than', '80']], 'AND'), {
+    property: 'Score',
+    formula: { number: { greater_than: 80 } }
+  });
+  assert.throws(() => buildDatabaseFilter([['Score', 'formula', 'equals', '1']], 'AND'), /サポートされていません/);
+});
+
+test('buildDatabaseFilter: 種類に使用できない条件はエラー', () => {
+  assert.throws(() => buildDatabaseFilter([['Done', 'checkbox', 'contains', 'x']], 'AND'), /使用できる条件: equals, does_not_equal/);
+  assert.throws(() => buildDatabaseFilter([['Name', 'unknown', 'equals', 'x']], 'AND'), /サポートされていません/);
+});
+
+test('convertFilterValue: 空・相対日付の条件は値を使用しない', () => {
+  assert.equal(convertFilterValue('select', 'is_empty', '', 'Status'), true);
+  assert.deepEqual(convertFilterValue('date', 'past_week', '', 'Date'), {});
+});
+
+test('convertFilterValue: checkbox は はい/yes/true/1 を真とする', () => {
+  assert.equal(convertFilterValue('checkbox', 'equals', 'はい', 'Done'), true);
+  assert.equal(convertFilterValue('checkbox', 'equals', true, 'Done'), true);
+  assert.equal(convertFilterValue('checkbox', 'equals', 'いいえ', 'Done'), false);
+});
+
+test('convertFilterValue: 数値に変換できない値や空の値はエラー', () => {
+  assert.equal(convertFilterValue('number', 'equals', '1.5', 'Score'), 1.5);
+  assert.throws(() => convertFilterValue('number', 'equals', 'abc', 'Score'), /数値で入力してください/);
+  assert.throws(() => convertFilterValue('string', 'equals', '', 'Name'), /値が入力されていません/);
+});
+
+test('convertFilterValue: 日付のセルはスクリプトのタイムゾーンで YYYY-MM-DD にする', () => {
+  const calls = [];
+  globalThis.Utilities = {
+    formatDate: (date, timeZone, format) => {
+      calls.push([timeZone, format]);
+      return '2024-03-15';
+    }
+  };
+  assert.equal(convertFilterValue('date', 'on_or_after', new Date(2024, 2, 15), 'Date'), '2024-03-15');
+  assert.deepEqual(calls, [['Asia/Tokyo', 'yyyy-MM-dd']]);
+  assert.equal(convertFilterValue('date', 'on_or_after', ' 2024-03-15 ', 'Date'), '2024-03-15');
+});
@@ -0,0 +1,145 @@
+/**
+ * ドキュメントの配色とフォントのテーマ
+ * Notionの文字色・背景色とカラーコードの対応、コード・引用・コールアウトなどの配色とフォントを1か所で管理する
+ * 設定シートの【テーマ】セクションで項目ごとに値を上書きできる
+ */
+
+/**
+ * テーマの既定値（項目名 -> 値）
+ * Notionの色は色名（red、blue_background など）を項目名にする
+ */
+const DEFAULT_THEME = {
+  // Notionの文字色
+  gray: '#787774',
+  brown: '#64473a',
+  orange: '#d9730d',
+  yellow: '#dfab01',
+  green: '#0f7b6c',
+  blue: '#0b6bcb',
+  purple: '#9b51e0',
+  pink: '#ad1a72',
+  red: '#e03e3e',
+  // Notionの背景色
+  gray_background: '#e9e8e8',
+  brown_background: '#e9e5e3',
+  orange_background: '#f9e2d2',
+  yellow_background: '#fbf3db',
+  green_background: '#ddedea',
+  blue_background: '#d3e5ef',
+  purple_background: '#e8def8',
+  pink_background: '#f4dfeb',
+  red_background: '#fbe4e4',
+  // フォント（本文のフォントが空の場合はGoogle Docsの既定のフォント）
+  '本文のフォント': '',
+  'コードのフォント': 'Courier New',
+  '数式のフォント': 'Cambria Math',
+  // ブロックごとの配色
+  'コードの背景色': '#f6f8fa',
+  'コードの文字色': '#24292e',
+  'コードのコメント': '#6a737d',
+  'コードの文字列': '#032f62',
+  'コードのキーワード': '#d73a49',
+  'コードの数値': '#005cc5',
+  'コードのキー': '#22863a',
+  'コードの変数': '#e36209',
+  '引用の文字色': '#6a737d',
+  'コールアウトの背景色': '#f1f1f1',
+  '数式の文字色': '#7b3fa0',
+  '数式の背景色': '#f5f0fa',
+  'メンションの文字色': '#37352f',
+  'メンションの背景色': '#f1f1ef',
+  'リンクカードの背景色': '#f7f7f5',
+  'リンクカードの枠線の色': '#e0e0e0',
+  'リンクカードの説明の文字色': '#6a737d',
+  'リンクカードのURLの文字色': '#787774',
+  '添付ファイルの詳細の文字色': '#787774'
+};
+
+/**
+ * テーマの項目のうち、フォント名を指定するもの（それ以外はカラーコード）
+ */
+const THEME_FONT_KEYS = ['本文のフォント', 'コードのフォント', '数式のフォント'];
+
+/**
+ * テーマの値を取得する（【テーマ】セクションで上書きされている場合はその値）
+ * @param {string} key - テーマの項目名
+ * @return {string}
+ */
+function getThemeValue(key) {
+  return key in THEME_SETTINGS ? THEME_SETTINGS[key] : DEFAULT_THEME[key];
+}
+
+/**
+ * Notionの色名（red、blue_background など）をドキュメントの書式に変換する
+ * 文字色は文字の色、背景色は文字の背景色になる。default や未知の色名の場合は空の書式を返す
+ * @param {string} color - Notionの色名
+ * @return {Object} DocumentApp.Attribute -> 値
+ */
+function getNotionColorAttributes(color) {
+  const attributes = {};
+  if (!color || color === 'default' || !(color in DEFAULT_THEME) || THEME_FONT_KEYS.includes(color)) {
+    return attributes;
+  }
+
+  if (color.endsWith('_background')) {
+    attributes[DocumentApp.Attribute.BACKGROUND_COLOR] = getThemeValue(color);
+  } else {
+    attributes[DocumentApp.Attribute.FOREGROUND_COLOR] = getThemeValue(color);
+  }
+  return attributes;
+}
+
+/**
+ * Notionの背景色のカラーコードを取得する
+ * @param {string} color - Notionの色名
+ * @return {string} カラーコード（背景色でない場合はnull）
+ */
+function getNotionBackgroundColor(color) {
+  return color && color.endsWith('_background') && color in DEFAULT_THEME ? getThemeValue(color) : null;
+}
+
+/**
+ * 【テーマ】セクションの行からテーマの上書き設定を作成する
+ * @param {Array} rows - [項目, 値] の配列
+ * @return {Object} 項目名 -> 値
+ * @throws {Error} 未知の項目や、カラーコードの形式でない値がある場合
+ */
+function buildThemeSettings(rows) {
+  const settings = {};
+
+  for (const row of rows) {
+    const key = String(row[0]).trim();
+    const value = String(row[1]).trim();
+    if (!key || !value) {
+      continue;
+    }
+
+    if (!(key in DEFAULT_THEME)) {
+      throw new Error(`【テーマ】の項目「${key}」は使用できません。\n使用できる項目: ${Object.keys(DEFAULT_THEME).join(', ')}`);
+    }
+    if (!THEME_FONT_KEYS.includes(key) && !/^#[0-9a-f]{6}$/i.test(value)) {
+      throw new Error(`【テーマ】の項目「${key}」の値「${value}」は #RRGGBB 形式のカラーコードで入力してください。`);
+    }
+    settings[key] = value;
+  }
+
+  return settings;
+}
+
+/**
+ * 本文のフォントを、ドキュメントの標準テキストと見出しのスタイルに設定する
+ * フォントを指定した要素（コードや数式）はそのフォントのまま表示される
+ * @param {Body} body - ドキュメントのbody
+ */
+function applyThemeFonts(body) {
+  const fontFamily = getThemeValue('本文のフォント');
+  if (!fontFamily) {
+    return;
+  }
+
+  ['NORMAL', 'TITLE', 'SUBTITLE', 'HEADING1', 'HEADING2', 'HEADING3'].forEach(heading => {
+    const attributes = body.getHeadingAttributes(DocumentApp.ParagraphHeading[heading]) || {};
+    attributes[DocumentApp.Attribute.FONT_FAMILY] = fontFamily;
+    body.setHeadingAttributes(DocumentApp.ParagraphHeading[heading], attributes);
+  });
+}
@@ -118,6 +118,31 @@ function showAlert(title, message) {
     );
   }
   
+  /**
+   * 処理結果をエクスポート対象ごとに集計した文字列を作成する
+   * @param {Array} results - 処理結果の配列
+   * @return {string} 集計結果（エクスポート対象が1つだけの場合は空文字）
+   */
+  function summarizeResultsByMapping(results) {
+    const mappingNames = [...new Set(results.map(r => r.mappingName).filter(name => name))];
+    if (mappingNames.length <= 1) {
+      return '';
+    }
+    
+    const lines = mappingNames.map(name => {
+      const mappingResults = results.filter(r => r.mappingName === name);
+      const countOf = status => mappingResults.filter(r => r.status === status).length;
+      
+      let line = `${name}: 成功 ${countOf('Success')} / 失敗 ${countOf('Fail')}`;
+      if (countOf('Skipped') > 0) {
+        line += ` / スキップ ${countOf('Skipped')}`;
+      }
+      return line;
+    });
+    
+    return `\n\n【エクスポート対象別】\n${lines.join('\n')}`;
+  }
+  
   /**
    * 処理結果をスプレッドシートに記録する
    * @param {Array} results - 処理結果の配列
@@ -137,7 +162,7 @@ function showAlert(title, message) {
       }
       
       // ヘッダー行を設定
-      const headers = ['実行日時', 'ページID', 'ページタイトル', 'ステータス', 'メッセージ', 'ファイルID', 'ファイルリンク'];
+      const headers = ['実行日時', 'ページID', 'ページタイトル', 'ステータス', 'メッセージ', 'ファイルID', 'ファイルリンク', 'エラー種別', 'エクスポート対象'];
       sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
       
       // 今回の実行バッチのグループIDを生成（タイムスタンプベース）
@@ -160,7 +185,9 @@ function showAlert(title, message) {
           result.status,
           result.message,
           result.fileId || '',
-          fileLink
+          fileLink,
+          result.errorType || '',
+          result.mappingName || ''
         ];
       });
       
@@ -259,7 +286,7 @@ function showAlert(title, message) {
       }
       
       // ヘッダー行を設定
-      const headers = ['実行日時', 'ページID', 'ページタイトル', 'ステータス', 'メッセージ', 'ファイルID', 'ファイルリンク'];
+      const headers = ['実行日時', 'ページID', 'ページタイトル', 'ステータス', 'メッセージ', 'ファイルID', 'ファイルリンク', 'エラー種別', 'エクスポート対象'];
       sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
       
       // データ行を準備
@@ -278,7 +305,9 @@ function showAlert(title, message) {
         result.status,
         result.message,
         result.fileId || '',
-        fileLink
+        fileLink,
+        result.errorType || '',
+        result.mappingName || ''
       ];
       
       // 既存のデータを一旦クリア（ヘッダーは残す）
@@ -334,4 +363,132 @@ function showAlert(title, message) {
     } catch (error) {
       Logger.log('スプレッドシートへの結果記録に失敗しました: ' + error.message);
     }
-  }
\ No newline at end of file
+  }
+  
+  /**
+   * プロパティ1件あたりの最大文字数
+   * PropertiesServiceの値は1件9KBまでのため、マルチバイト文字を考慮して余裕を持たせる
+   */
+  const PROPERTY_CHUNK_SIZE = 2000;
+  
+  /**
+   * サイズ制限を超える可能性のある文字列を分割してプロパティに保存する
+   * 保存に失敗しても以前の値が残るよう、新しい値を書き込んでから不要になった分割を削除する
+   * @param {Properties} properties - 保存先のプロパティストア
+   * @param {string} key - プロパティキー
+   * @param {string} value - 保存する文字列
+   */
+  function setLargeProperty(properties, key, value) {
+    const previousChunkCount = parseInt(properties.getProperty(`${key}_CHUNKS`) || '0');
+    
+    const chunks = {};
+    let chunkCount = 0;
+    let offset = 0;
+    
+    while (offset < value.length) {
+      let end = Math.min(offset + PROPERTY_CHUNK_SIZE, value.length);
+      
+      // サロゲートペアの途中で分割しないようにする
+      const lastCode = value.charCodeAt(end - 1);
+      if (end < value.length && lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+        end--;
+      }
+      
+      chunks[`${key}_${chunkCount}`] = value.substring(offset, end);
+      chunkCount++;
+      offset = end;
+    }
+    
+    chunks[`${key}_CHUNKS`] = chunkCount.toString();
+    properties.setProperties(chunks);
+    
+    // 以前の値のほうが長かった場合の余った分割と、分割されていない従来形式の値を削除
+    for (let i = chunkCount; i < previousChunkCount; i++) {
+      properties.deleteProperty(`${key}_${i}`);
+    }
+    properties.deleteProperty(key);
+  }
+  
+  /**
+   * setLargePropertyで保存した文字列を読み込む
+   * 分割されていない従来形式の値もそのまま読み込める
+   * @param {Properties} properties - 読み込み元のプロパティストア
+   * @param {string} key - プロパティキー
+   * @return {string|null} 保存された文字列（存在しない場合はnull）
+   */
+  function getLargeProperty(properties, key) {
+    const chunkCount = properties.getProperty(`${key}_CHUNKS`);
+    if (chunkCount === null) {
+      return properties.getProperty(key);
+    }
+    
+    let value = '';
+    for (let i = 0; i < parseInt(chunkCount); i++) {
+      value += properties.getProperty(`${key}_${i}`) || '';
+    }
+    return value;
+  }
+  
+  /**
+   * setLargePropertyで保存した文字列を削除する
+   * @param {Properties} properties - 対象のプロパティストア
+   * @param {string} key - プロパティキー
+   */
+  function deleteLargeProperty(properties, key) {
+    const chunkCount = parseInt(properties.getProperty(`${key}_CHUNKS`) || '0');
+    for (let i = 0; i < chunkCount; i++) {
+      properties.deleteProperty(`${key}_${i}`);
+    }
+    properties.deleteProperty(`${key}_CHUNKS`);
+    properties.deleteProperty(key);
+  }
+  
+  /**
+   * スクリプトプロパティの容量を超える可能性のあるデータを保存するJSONファイルを取得する
+   * @param {string} fileIdKey - ファイルIDを保存したプロパティキー
+   * @return {File} ファイル（まだ作成していない場合や、ゴミ箱に移動された場合はnull）
+   */
+  function findJsonStorageFile(fileIdKey) {
+    const fileId = PropertiesService.getScriptProperties().getProperty(fileIdKey);
+    if (!fileId) {
+      return null;
+    }
+    
+    try {
+      const file = DriveApp.getFileById(fileId);
+      return file.isTrashed() ? null : file;
+    } catch (e) {
+      Logger.log(`保存用のファイルが見つかりません（${fileIdKey}）: ${e.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * JSONファイルの内容を読み込む
+   * @param {string} fileIdKey - ファイルIDを保存したプロパティキー
+   * @return {*} 読み込んだ値（ファイルがない場合はnull）
+   */
+  function readJsonStorageFile(fileIdKey) {
+    const file = findJsonStorageFile(fileIdKey);
+    return file ? JSON.parse(file.getBlob().getDataAsString() || 'null') : null;
+  }
+  
+  /**
+   * 値をJSONファイルに保存する（ファイルがない場合はスプレッドシートと同じフォルダに作成する）
+   * @param {string} fileIdKey - ファイルIDを保存するプロパティキー
+   * @param {string} fileName - 作成する場合のファイル名
+   * @param {*} value - 保存する値
+   */
+  function writeJsonStorageFile(fileIdKey, fileName, value) {
+    const json = JSON.stringify(value);
+    const file = findJsonStorageFile(fileIdKey);
+    if (file) {
+      file.setContent(json);
+      return;
+    }
+    
+    const parents = DriveApp.getFileById(SpreadsheetApp.getActiveSpreadsheet().getId()).getParents();
+    const folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+    const created = folder.createFile(fileName, json, MimeType.PLAIN_TEXT);
+    PropertiesService.getScriptProperties().setProperty(fileIdKey, created.getId());
+  }
@@ -0,0 +1,253 @@
+/**
+ * ワークスペース全体のエクスポート
+ * Notionの検索APIで統合に共有されているページ・データベースを一覧化し、
+ * 「ワークスペース」シートで選択したものをエクスポート対象にする
+ */
+
+/**
+ * ワークスペースのページ一覧を書き出すシート名
+ */
+const WORKSPACE_SHEET_NAME = 'ワークスペース';
+
+/**
+ * ワークスペースシートの見出し
+ */
+const WORKSPACE_SHEET_HEADERS = ['選択', '種類', 'タイトル', '親', '最終更新日時', 'URL', 'ID'];
+
+/**
+ * ワークスペースシートの列（0始まり）
+ */
+const WORKSPACE_COLUMNS = {
+  SELECTED: 0,
+  TYPE: 1,
+  TITLE: 2,
+  PARENT: 3,
+  LAST_EDITED: 4,
+  URL: 5,
+  ID: 6
+};
+
+/**
+ * ワークスペースシートに表示する種類
+ */
+const WORKSPACE_OBJECT_TYPES = {
+  page: 'ページ',
+  database: 'データベース'
+};
+
+/**
+ * 統合に共有されているページ・データベースを検索し、「ワークスペース」シートに一覧を作成する
+ * シートを作り直す場合も、既存の選択状態はIDごとに引き継ぐ
+ * メインメニューから呼び出される
+ */
+function createWorkspaceSheet() {
+  // APIキーが設定されているか確認
+  if (!NOTION_API_KEY) {
+    showAlert('APIキーが設定されていません', '「API Keyを設定」メニューからNotionのAPIキーを設定してください。');
+    return;
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (!ss) {
+    showAlert('エラー', 'スプレッドシートが見つかりません。');
+    return;
+  }
+
+  let items;
+  try {
+    items = searchNotionWorkspace().filter(item => !item.archived && !item.in_trash);
+  } catch (error) {
+    showAlert('ワークスペースの検索に失敗しました', describeError(error));
+    return;
+  }
+
+  if (items.length === 0) {
+    showAlert('データが見つかりません', '統合に共有されているページ・データベースがありません。Notionで対象のページに統合を追加してください。');
+    return;
+  }
+
+  // 既存の選択状態を引き継ぐ
+  let sheet = ss.getSheetByName(WORKSPACE_SHEET_NAME);
+  const previousSelection = sheet ? readWorkspaceSelection(sheet) : null;
+  if (!sheet) {
+    sheet = ss.insertSheet(WORKSPACE_SHEET_NAME);
+  }
+
+  const rows = buildWorkspaceRows(items, previousSelection);
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, WORKSPACE_SHEET_HEADERS.length)
+    .setValues([WORKSPACE_SHEET_HEADERS])
+    .setFontWeight('bold')
+    .setBackground('#f3f3f3');
+  sheet.getRange(2, 1, rows.length, WORKSPACE_SHEET_HEADERS.length).setValues(rows);
+  sheet.getRange(2, WORKSPACE_COLUMNS.SELECTED + 1, rows.length, 1).insertCheckboxes();
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, WORKSPACE_SHEET_HEADERS.length);
+  ss.setActiveSheet(sheet);
+
+  const selectedCount = rows.filter(row => row[WORKSPACE_COLUMNS.SELECTED]).length;
+  showAlert(
+    'ワークスペースの一覧を作成しました',
+    `${rows.length}件のページ・データベースが見つかりました（${selectedCount}件を選択済み）。\n\n` +
+    'エクスポートするものにチェックを入れ、「設定」シートの「ソースの種類」を「ワークスペース」にしてから' +
+    'エクスポートを実行してください。\n' +
+    '初回は、他のページの中にないページ・データベースを選択しています（子ページは親ページと一緒にエクスポートされます）。'
+  );
+}
+
+/**
+ * 検索結果からワークスペースシートの行を作成する
+ * 選択状態が引き継がれないものは、階層の最上位（親が一覧にない）ものを選択しておく
+ * @param {Array} items - 検索で取得したページ・データベースの配列
+ * @param {Object} previousSelection - ID -> 選択状態（シートを初めて作成する場合はnull）
+ * @return {Array} シートの行の配列
+ */
+function buildWorkspaceRows(items, previousSelection) {
+  const titlesById = {};
+  for (const item of items) {
+    titlesById[normalizeNotionId(item.id)] = getWorkspaceItemTitle(item);
+  }
+
+  return items.map(item => {
+    const id = normalizeNotionId(item.id);
+    const selected = previousSelection && id in previousSelection
+      ? previousSelection[id]
+      : isWorkspaceTopLevelItem(item, titlesById);
+
+    const row = [];
+    row[WORKSPACE_COLUMNS.SELECTED] = selected;
+    row[WORKSPACE_COLUMNS.TYPE] = WORKSPACE_OBJECT_TYPES[item.object] || item.object;
+    row[WORKSPACE_COLUMNS.TITLE] = titlesById[id];
+    row[WORKSPACE_COLUMNS.PARENT] = getWorkspaceParentLabel(item, titlesById);
+    row[WORKSPACE_COLUMNS.LAST_EDITED] = item.last_edited_time ? new Date(item.last_edited_time) : '';
+    row[WORKSPACE_COLUMNS.URL] = item.url || '';
+    row[WORKSPACE_COLUMNS.ID] = item.id;
+    return row;
+  });
+}
+
+/**
+ * 検索結果のページ・データベースのタイトルを取得する
+ * @param {Object} item - ページまたはデータベースオブジェクト
+ * @return {string} タイトル
+ */
+function getWorkspaceItemTitle(item) {
+  return item.object === 'database' ? getDatabaseTitle(item) : getPageTitle(item);
+}
+
+/**
+ * 階層の最上位にあるページ・データベースかどうか
+ * 親がワークスペースの場合と、親が統合に共有されていない場合に最上位とみなす
+ * （親が一覧にある場合は、親をエクスポートすれば一緒にエクスポートされる）
+ * @param {Object} item - ページまたはデータベースオブジェクト
+ * @param {Object} titlesById - 一覧にあるID -> タイトル
+ * @return {boolean}
+ */
+function isWorkspaceTopLevelItem(item, titlesById) {
+  const parent = item.parent || {};
+  if (parent.type === 'workspace') {
+    return true;
+  }
+  // ブロックの中にあるページは、そのブロックを含むページと一緒にエクスポートされる
+  if (parent.type === 'block_id') {
+    return false;
+  }
+  const parentId = parent.page_id || parent.database_id;
+  return !parentId || !(normalizeNotionId(parentId) in titlesById);
+}
+
+/**
+ * ワークスペースシートの「親」列に表示する文字列を作成する
+ * @param {Object} item - ページまたはデータベースオブジェクト
+ * @param {Object} titlesById - 一覧にあるID -> タイトル
+ * @return {string}
+ */
+function getWorkspaceParentLabel(item, titlesById) {
+  const parent = item.parent || {};
+  if (parent.type === 'workspace') {
+    return 'ワークスペース';
+  }
+  if (parent.type === 'block_id') {
+    return 'ブロック内';
+  }
+  const parentId = parent.page_id || parent.database_id;
+  if (!parentId) {
+    return '';
+  }
+  return titlesById[normalizeNotionId(parentId)] || '（共有されていないページ）';
+}
+
+/**
+ * ワークスペースシートの選択状態を読み込む
+ * @param {Sheet} sheet - ワークスペースシート
+ * @return {Object} ID -> 選択状態
+ */
+function readWorkspaceSelection(sheet) {
+  const selection = {};
+  const values = sheet.getDataRange().getValues();
+
+  for (const row of values.slice(1)) {
+    const id = String(row[WORKSPACE_COLUMNS.ID] || '').trim();
+    if (id) {
+      selection[normalizeNotionId(id)] = row[WORKSPACE_COLUMNS.SELECTED] === true;
+    }
+  }
+
+  return selection;
+}
+
+/**
+ * ワークスペースシートで選択されたページ・データベースからマッピングを作成する
+ * ページはルートページとして子ページごと、データベースは「データベース名」のフォルダにエクスポートする
+ * @return {Array} {name, sourceType, sourceId, folderId, folderPath, options} の配列
+ * @throws {Error} シートがない、または何も選択されていない場合
+ */
+function buildWorkspaceExportMappings() {
+  const folderId = String(SETTINGS_VALUES['Google DriveフォルダID'] || '').trim();
+  if (!folderId) {
+    throw new Error('「設定」シートにGoogle DriveフォルダIDを入力してください。');
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(WORKSPACE_SHEET_NAME);
+  if (!sheet) {
+    throw new Error('「ワークスペースのページ一覧を作成」メニューから「ワークスペース」シートを作成してください。');
+  }
+
+  const mappings = [];
+  for (const row of sheet.getDataRange().getValues().slice(1)) {
+    const id = String(row[WORKSPACE_COLUMNS.ID] || '').trim();
+    if (!id || row[WORKSPACE_COLUMNS.SELECTED] !== true) {
+      continue;
+    }
+
+    const title = String(row[WORKSPACE_COLUMNS.TITLE]).trim() || id;
+    const isDatabase = row[WORKSPACE_COLUMNS.TYPE] === WORKSPACE_OBJECT_TYPES.database;
+
+    mappings.push({
+      name: title,
+      sourceType: isDatabase ? SOURCE_TYPES.DATABASE : SOURCE_TYPES.ROOT_PAGE,
+      sourceId: id,
+      folderId: folderId,
+      // データベースのページは同名のドキュメントと混ざらないようデータベース名のフォルダにまとめる
+      folderPath: isDatabase ? [title] : [],
+      // 【フィルタ】【並び順】は特定のデータベース向けの設定なので適用しない
+      options: { 'フィルタを使用': 'いいえ' }
+    });
+  }
+
+  if (mappings.length === 0) {
+    throw new Error('「ワークスペース」シートでエクスポートするページ・データベースを選択してください。');
+  }
+
+  return mappings;
+}
+
+/**
+ * NotionのIDをハイフンなしの小文字に揃える
+ * @param {string} id - NotionのID
+ * @return {string}
+ */
+function normalizeNotionId(id) {
+  return String(id).replace(/-/g, '').toLowerCase();
+}